@@ -0,0 +1,310 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { concatBuffer } from '../utils/buffer_utils.js'
+
+// CMAF (fMP4) packaging (packaging: 'cmaf'), every object is a fragment of one chunk (lowest latency): prft + moof + mdat
+// - prft: capture wall clock (NTP), moof: seqId (mfhd sequence - 1), configId (track_ID), timestamp (tfdt), duration and key / delta (trun)
+// - Init segment (ftyp + moov) from the WebCodecs decoderConfig, H.264 (avc1 / avc3 + avcC) or Opus (Opus + dOps),
+// published in the init track with the decoder config of the same configId (see packager/decoder_config_packager.js)
+// The init segment plus the objects of a track from a keyframe can be appended as they are to MSE / CMAF tooling
+
+const TIMESCALE = 1000000 // Same as WebCodecs timestamps (us)
+const TRACK_ID_DEFAULT = 1 // If there is NO configId (it is read as configId 1)
+const NTP_EPOCH_OFFSET_S = 2208988800
+
+// trun sample flags
+const SAMPLE_FLAGS_KEY = 0x02000000 // sample_depends_on = 2 (does NOT depend on others)
+const SAMPLE_FLAGS_DELTA = 0x01010000 // sample_depends_on = 1, sample_is_non_sync_sample
+const SAMPLE_FLAGS_IS_NON_SYNC = 0x00010000
+
+const TFHD_FLAG_DEFAULT_BASE_IS_MOOF = 0x020000
+const TRUN_FLAGS = 0x000001 | 0x000100 | 0x000200 | 0x000400 // data offset, duration, size, flags
+
+export class CmafPackager {
+  constructor (mediaType) {
+    this.mediaType = (mediaType === undefined) ? '' : mediaType
+    this.timestamp = 0
+    this.duration = 0
+    this.chunkType = ''
+    this.seqId = -1
+    this.firstFrameClkms = 0
+    this.configId = undefined
+    this.pId = ''
+
+    this.data = null
+  }
+
+  SetData (mediaType, timestamp, duration, chunkType, seqId, firstFrameClkms, configId, data) {
+    this.pId = btoa(`${mediaType}-${timestamp}-${chunkType}-${seqId}-${Math.floor(Math.random() * 100000)}`)
+
+    this.seqId = seqId
+    this.timestamp = timestamp
+
+    this.mediaType = mediaType
+    this.duration = duration
+    this.chunkType = chunkType
+    this.firstFrameClkms = firstFrameClkms
+    this.configId = configId
+
+    this.data = data
+  }
+
+  // reader: BufferedReader, the object goes until the end of it
+  async ReadBytes (reader) {
+    this.parse(await reader.ReadUntilEof())
+  }
+
+  // Sync, the whole object needs to be in the reader buffer (ex: BufferedReader from the payload)
+  ReadHeader (r) {
+    this.parse(r.ReadBytes(r.GetAvailable()))
+  }
+
+  GetData () {
+    return {
+      seqId: this.seqId,
+      timestamp: this.timestamp,
+
+      mediaType: this.mediaType,
+      duration: this.duration,
+      chunkType: this.chunkType,
+      firstFrameClkms: this.firstFrameClkms,
+      configId: this.configId,
+
+      pId: this.pId, // Internal
+
+      data: this.data
+    }
+  }
+
+  GetDataStr () {
+    const dataSize = (this.data === undefined || this.data == null) ? 0 : this.data.byteLength
+    return `${this.mediaType} - ${this.seqId} - ${this.timestamp} - ${this.duration} - ${this.chunkType} - ${this.firstFrameClkms} - ${this.configId} - ${dataSize}`
+  }
+
+  ToBytes () {
+    if (this.chunkType !== 'delta' && this.chunkType !== 'key') {
+      throw new Error(`chunkType ${this.chunkType} not supported`)
+    }
+    const trackId = getTrackId(this.configId)
+    return concatBuffer([createPrft(trackId, this.firstFrameClkms, this.timestamp), createFragment(trackId, this.seqId, this.timestamp, this.duration, this.chunkType, this.data)])
+  }
+
+  parse (bytes) {
+    this.data = null
+    for (const b of readBoxes(bytes)) {
+      if (b.type === 'prft') {
+        this.firstFrameClkms = parsePrft(b.payload)
+      } else if (b.type === 'moof') {
+        this.parseMoof(b.payload)
+      } else if (b.type === 'mdat') {
+        this.data = b.payload
+      }
+    }
+    if (this.data === null) {
+      throw new Error('CMAF object without mdat')
+    }
+  }
+
+  parseMoof (payload) {
+    const mfhd = findBox(payload, ['mfhd'])
+    const tfhd = findBox(payload, ['traf', 'tfhd'])
+    const tfdt = findBox(payload, ['traf', 'tfdt'])
+    const trun = findBox(payload, ['traf', 'trun'])
+    if (mfhd === undefined || tfhd === undefined || tfdt === undefined || trun === undefined) {
+      throw new Error('CMAF moof malformed, needs to contain mfhd, tfhd, tfdt and trun')
+    }
+    this.seqId = view(mfhd).getUint32(4) - 1
+    this.configId = view(tfhd).getUint32(4)
+
+    const tfdtView = view(tfdt)
+    this.timestamp = (tfdt[0] === 1) ? Number(tfdtView.getBigUint64(4)) : tfdtView.getUint32(4)
+
+    // Only one sample per fragment, fields in order: data offset, first sample flags, duration, size, flags
+    const trunView = view(trun)
+    const flags = trunView.getUint32(0) & 0xffffff
+    let pos = 8
+    pos += (flags & 0x000001) ? 4 : 0
+    let sampleFlags = SAMPLE_FLAGS_KEY
+    if (flags & 0x000004) {
+      sampleFlags = trunView.getUint32(pos)
+      pos += 4
+    }
+    if (flags & 0x000100) {
+      this.duration = trunView.getUint32(pos)
+      pos += 4
+    }
+    pos += (flags & 0x000200) ? 4 : 0
+    if (flags & 0x000400) {
+      sampleFlags = trunView.getUint32(pos)
+    }
+    this.chunkType = (sampleFlags & SAMPLE_FLAGS_IS_NON_SYNC) ? 'delta' : 'key'
+  }
+}
+
+// Writers
+
+function box (type, ...payloads) {
+  const payload = concatBuffer(payloads)
+  const ret = new Uint8Array(8 + payload.byteLength)
+  view(ret).setUint32(0, ret.byteLength)
+  ret.set(new TextEncoder().encode(type), 4)
+  ret.set(payload, 8)
+  return ret
+}
+
+function fullBox (type, version, flags, ...payloads) {
+  return box(type, uint32((version << 24) | flags), ...payloads)
+}
+
+function uint8 (v) {
+  return new Uint8Array([v])
+}
+
+function uint16 (v) {
+  const ret = new Uint8Array(2)
+  view(ret).setUint16(0, v)
+  return ret
+}
+
+function uint32 (v) {
+  const ret = new Uint8Array(4)
+  view(ret).setUint32(0, v >>> 0)
+  return ret
+}
+
+function uint64 (v) {
+  const ret = new Uint8Array(8)
+  view(ret).setBigUint64(0, BigInt(v))
+  return ret
+}
+
+function zeros (size) {
+  return new Uint8Array(size)
+}
+
+const MATRIX = concatBuffer([uint32(0x00010000), zeros(12), uint32(0x00010000), zeros(12), uint32(0x40000000)])
+
+// Init segment of the objects packaged with that configId (its track_ID), decoderConfig with description as BufferSource
+export function cmafCreateInitSegment (mediaType, configId, decoderConfig) {
+  if (decoderConfig === undefined || decoderConfig === null) {
+    throw new Error('CMAF init segment needs a decoderConfig')
+  }
+  const trackId = getTrackId(configId)
+  const isVideo = mediaType === 'video'
+  const width = isVideo ? decoderConfig.codedWidth : 0
+  const height = isVideo ? decoderConfig.codedHeight : 0
+
+  const ftyp = box('ftyp', fourCC('iso6'), uint32(0), fourCC('iso6'), fourCC('cmfc'))
+  const mvhd = fullBox('mvhd', 0, 0, uint32(0), uint32(0), uint32(TIMESCALE), uint32(0), uint32(0x00010000), uint16(0x0100), zeros(10), MATRIX, zeros(24), uint32(trackId + 1))
+  const tkhd = fullBox('tkhd', 0, 0x3, uint32(0), uint32(0), uint32(trackId), zeros(4), uint32(0), zeros(8), uint16(0), uint16(0), uint16(isVideo ? 0 : 0x0100), zeros(2), MATRIX, uint32(width << 16), uint32(height << 16))
+  const mdhd = fullBox('mdhd', 0, 0, uint32(0), uint32(0), uint32(TIMESCALE), uint32(0), uint16(0x55c4), uint16(0)) // und
+  const hdlr = fullBox('hdlr', 0, 0, uint32(0), fourCC(isVideo ? 'vide' : 'soun'), zeros(12), new TextEncoder().encode(isVideo ? 'VideoHandler\0' : 'SoundHandler\0'))
+  const mediaHeader = isVideo ? fullBox('vmhd', 0, 1, zeros(8)) : fullBox('smhd', 0, 0, zeros(4))
+  const dinf = box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 1)))
+  const stsd = fullBox('stsd', 0, 0, uint32(1), isVideo ? createVideoSampleEntry(decoderConfig) : createAudioSampleEntry(decoderConfig))
+  const stbl = box('stbl', stsd, fullBox('stts', 0, 0, uint32(0)), fullBox('stsc', 0, 0, uint32(0)), fullBox('stsz', 0, 0, uint32(0), uint32(0)), fullBox('stco', 0, 0, uint32(0)))
+  const trak = box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', mediaHeader, dinf, stbl)))
+  const mvex = box('mvex', fullBox('trex', 0, 0, uint32(trackId), uint32(1), uint32(0), uint32(0), uint32(0)))
+  return concatBuffer([ftyp, box('moov', mvhd, trak, mvex)])
+}
+
+function createVideoSampleEntry (decoderConfig) {
+  const type = decoderConfig.codec.substring(0, 4)
+  if ((type !== 'avc1' && type !== 'avc3') || decoderConfig.description === undefined || decoderConfig.description === null) {
+    throw new Error(`CMAF video codec ${decoderConfig.codec} NOT supported, supported H.264 (avc format, with description)`)
+  }
+  const description = ArrayBuffer.isView(decoderConfig.description) ? decoderConfig.description : new Uint8Array(decoderConfig.description)
+  const avcC = box('avcC', new Uint8Array(description.buffer, description.byteOffset, description.byteLength))
+  return box(type, zeros(6), uint16(1), zeros(16), uint16(decoderConfig.codedWidth), uint16(decoderConfig.codedHeight), uint32(0x00480000), uint32(0x00480000), zeros(4), uint16(1), zeros(32), uint16(0x0018), uint16(0xffff), avcC)
+}
+
+function createAudioSampleEntry (decoderConfig) {
+  if (decoderConfig.codec !== 'opus') {
+    throw new Error(`CMAF audio codec ${decoderConfig.codec} NOT supported, supported opus`)
+  }
+  const dOps = box('dOps', uint8(0), uint8(decoderConfig.numberOfChannels), uint16(0), uint32(decoderConfig.sampleRate), uint16(0), uint8(0))
+  return box('Opus', zeros(6), uint16(1), zeros(8), uint16(decoderConfig.numberOfChannels), uint16(16), zeros(4), uint32(decoderConfig.sampleRate << 16), dOps)
+}
+
+function createPrft (trackId, clkms, timestamp) {
+  const seconds = BigInt(Math.floor(clkms / 1000) + NTP_EPOCH_OFFSET_S)
+  const fraction = BigInt(Math.floor(((clkms % 1000) / 1000) * 0x100000000))
+  return fullBox('prft', 1, 0, uint32(trackId), uint64((seconds << 32n) | fraction), uint64(timestamp))
+}
+
+function createFragment (trackId, seqId, timestamp, duration, chunkType, data) {
+  const sampleFlags = (chunkType === 'key') ? SAMPLE_FLAGS_KEY : SAMPLE_FLAGS_DELTA
+  const createMoof = dataOffset => box('moof',
+    fullBox('mfhd', 0, 0, uint32(seqId + 1)),
+    box('traf',
+      fullBox('tfhd', 0, TFHD_FLAG_DEFAULT_BASE_IS_MOOF, uint32(trackId)),
+      fullBox('tfdt', 1, 0, uint64(timestamp)),
+      fullBox('trun', 0, TRUN_FLAGS, uint32(1), uint32(dataOffset), uint32(duration), uint32(data.byteLength), uint32(sampleFlags))))
+  // The data offset (from the moof start to the sample) does NOT change the moof size
+  const moofSize = createMoof(0).byteLength
+  return concatBuffer([createMoof(moofSize + 8), box('mdat', data)])
+}
+
+// Readers
+
+function readBoxes (bytes) {
+  const ret = []
+  const v = view(bytes)
+  let pos = 0
+  while (pos + 8 <= bytes.byteLength) {
+    let size = v.getUint32(pos)
+    const type = new TextDecoder().decode(bytes.subarray(pos + 4, pos + 8))
+    let headerSize = 8
+    if (size === 1) {
+      size = Number(v.getBigUint64(pos + 8))
+      headerSize = 16
+    } else if (size === 0) {
+      size = bytes.byteLength - pos
+    }
+    if (size < headerSize || pos + size > bytes.byteLength) {
+      throw new Error(`CMAF box ${type} malformed, size ${size} at ${pos} of ${bytes.byteLength}`)
+    }
+    ret.push({ type, payload: bytes.subarray(pos + headerSize, pos + size) })
+    pos += size
+  }
+  return ret
+}
+
+// Payload of the box in that path, undefined if it is NOT there
+function findBox (bytes, path) {
+  let current = bytes
+  for (const type of path) {
+    const found = readBoxes(current).find(b => b.type === type)
+    if (found === undefined) {
+      return undefined
+    }
+    current = found.payload
+  }
+  return current
+}
+
+function parsePrft (payload) {
+  const v = view(payload)
+  const ntp = v.getBigUint64(8)
+  const seconds = Number(ntp >> 32n) - NTP_EPOCH_OFFSET_S
+  const fraction = Number(ntp & 0xffffffffn) / 0x100000000
+  return seconds * 1000 + Math.round(fraction * 1000)
+}
+
+function view (bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+}
+
+function fourCC (str) {
+  return new TextEncoder().encode(str)
+}
+
+// track_ID can NOT be 0
+function getTrackId (configId) {
+  return (configId === undefined || configId <= 0) ? TRACK_ID_DEFAULT : configId
+}
@@ -0,0 +1,191 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { numberToVarInt } from '../utils/varint.js'
+import { concatBuffer } from '../utils/buffer_utils.js'
+import { BufferedReader } from '../utils/buffered_reader.js'
+
+// Binary WebCodecs decoder config, published in the init track of every media track (see utils/init_track.js)
+// Object payload: version (varint), configId (varint), fields until the end
+// Field: type (varint), even types have a varint value, odd types a length and bytes (strings are UTF-8). Unknown types are skipped
+// Media objects reference it by configId (configIds start at 1), a new configId signals a config change
+
+export const DECODER_CONFIG_VERSION = 1
+
+export const DECODER_CONFIG_CODEC = 0x01
+export const DECODER_CONFIG_CODED_WIDTH = 0x02
+export const DECODER_CONFIG_DESCRIPTION = 0x03 // Codec extradata (ex: AVCDecoderConfigurationRecord)
+export const DECODER_CONFIG_CODED_HEIGHT = 0x04
+export const DECODER_CONFIG_COLOR_PRIMARIES = 0x05
+export const DECODER_CONFIG_SAMPLE_RATE = 0x06
+export const DECODER_CONFIG_COLOR_TRANSFER = 0x07
+export const DECODER_CONFIG_NUMBER_OF_CHANNELS = 0x08
+export const DECODER_CONFIG_COLOR_MATRIX = 0x09
+export const DECODER_CONFIG_DISPLAY_ASPECT_WIDTH = 0x0A
+export const DECODER_CONFIG_CMAF_HEADER = 0x0B // CMAF init segment (ftyp + moov), only for the tracks packaged in CMAF
+export const DECODER_CONFIG_DISPLAY_ASPECT_HEIGHT = 0x0C
+export const DECODER_CONFIG_COLOR_FULL_RANGE = 0x0E
+
+const NUMBER_FIELDS = {
+  [DECODER_CONFIG_CODED_WIDTH]: 'codedWidth',
+  [DECODER_CONFIG_CODED_HEIGHT]: 'codedHeight',
+  [DECODER_CONFIG_SAMPLE_RATE]: 'sampleRate',
+  [DECODER_CONFIG_NUMBER_OF_CHANNELS]: 'numberOfChannels',
+  [DECODER_CONFIG_DISPLAY_ASPECT_WIDTH]: 'displayAspectWidth',
+  [DECODER_CONFIG_DISPLAY_ASPECT_HEIGHT]: 'displayAspectHeight'
+}
+
+const COLOR_SPACE_FIELDS = {
+  [DECODER_CONFIG_COLOR_PRIMARIES]: 'primaries',
+  [DECODER_CONFIG_COLOR_TRANSFER]: 'transfer',
+  [DECODER_CONFIG_COLOR_MATRIX]: 'matrix'
+}
+
+export class DecoderConfigPackager {
+  constructor () {
+    this.mediaType = '' // Track type it is sent in (internal)
+    this.version = DECODER_CONFIG_VERSION
+    this.configId = 0
+    this.decoderConfig = null // WebCodecs decoder config (description as ArrayBuffer)
+    this.cmafHeader = null
+
+    // Internal
+    this.unknownFields = 0
+  }
+
+  SetData (mediaType, configId, decoderConfig, cmafHeader) {
+    this.mediaType = mediaType
+    this.configId = configId
+    this.decoderConfig = decoderConfig
+    this.cmafHeader = (cmafHeader === undefined) ? null : cmafHeader
+  }
+
+  // reader: BufferedReader, the fields go until the end of it
+  async ReadBytes (reader) {
+    this.ReadHeader(new BufferedReader(await reader.ReadUntilEof()))
+  }
+
+  // Sync, the whole config needs to be in the reader buffer
+  ReadHeader (r) {
+    this.version = r.ReadVarInt()
+    if (this.version !== DECODER_CONFIG_VERSION) {
+      throw new Error(`Decoder config version ${this.version} NOT supported, supported ${DECODER_CONFIG_VERSION}`)
+    }
+    this.configId = r.ReadVarInt()
+
+    const decoderConfig = {}
+    this.cmafHeader = null
+    this.unknownFields = 0
+    while (r.GetAvailable() > 0) {
+      const type = r.ReadVarInt()
+      if (type % 2 === 0) {
+        const value = r.ReadVarInt()
+        if (type in NUMBER_FIELDS) {
+          decoderConfig[NUMBER_FIELDS[type]] = value
+        } else if (type === DECODER_CONFIG_COLOR_FULL_RANGE) {
+          decoderConfig.colorSpace = Object.assign({}, decoderConfig.colorSpace, { fullRange: value === 1 })
+        } else {
+          this.unknownFields++
+        }
+        continue
+      }
+      const value = r.ReadBytes(r.ReadVarInt())
+      if (type === DECODER_CONFIG_CODEC) {
+        decoderConfig.codec = new TextDecoder().decode(value)
+      } else if (type === DECODER_CONFIG_DESCRIPTION) {
+        decoderConfig.description = value.slice().buffer
+      } else if (type in COLOR_SPACE_FIELDS) {
+        decoderConfig.colorSpace = Object.assign({}, decoderConfig.colorSpace, { [COLOR_SPACE_FIELDS[type]]: new TextDecoder().decode(value) })
+      } else if (type === DECODER_CONFIG_CMAF_HEADER) {
+        this.cmafHeader = value
+      } else {
+        this.unknownFields++
+      }
+    }
+    if (typeof decoderConfig.codec !== 'string') {
+      throw new Error(`Decoder config ${this.configId} malformed, it does NOT contain the codec`)
+    }
+    this.decoderConfig = decoderConfig
+  }
+
+  GetData () {
+    return {
+      mediaType: this.mediaType,
+      seqId: this.configId,
+      chunkType: 'key',
+
+      version: this.version,
+      configId: this.configId,
+      decoderConfig: this.decoderConfig,
+      cmafHeader: this.cmafHeader
+    }
+  }
+
+  GetDataStr () {
+    const cmafHeaderSize = (this.cmafHeader === null) ? 0 : this.cmafHeader.byteLength
+    return `${this.mediaType} - ${this.version} - ${this.configId} - ${JSON.stringify(this.decoderConfig)} - ${cmafHeaderSize} - ${this.unknownFields}`
+  }
+
+  ToBytes () {
+    const decoderConfig = this.decoderConfig
+    if (decoderConfig == null || typeof decoderConfig.codec !== 'string') {
+      throw new Error('Decoder config needs to contain the codec')
+    }
+    const fields = [bytesField(DECODER_CONFIG_CODEC, new TextEncoder().encode(decoderConfig.codec))]
+    for (const [type, name] of Object.entries(NUMBER_FIELDS)) {
+      if (Number.isInteger(decoderConfig[name])) {
+        fields.push(varIntField(Number(type), decoderConfig[name]))
+      }
+    }
+    if (decoderConfig.description !== undefined && decoderConfig.description !== null) {
+      fields.push(bytesField(DECODER_CONFIG_DESCRIPTION, toUint8Array(decoderConfig.description)))
+    }
+    if (decoderConfig.colorSpace !== undefined && decoderConfig.colorSpace !== null) {
+      for (const [type, name] of Object.entries(COLOR_SPACE_FIELDS)) {
+        if (typeof decoderConfig.colorSpace[name] === 'string') {
+          fields.push(bytesField(Number(type), new TextEncoder().encode(decoderConfig.colorSpace[name])))
+        }
+      }
+      if (typeof decoderConfig.colorSpace.fullRange === 'boolean') {
+        fields.push(varIntField(DECODER_CONFIG_COLOR_FULL_RANGE, decoderConfig.colorSpace.fullRange ? 1 : 0))
+      }
+    }
+    if (this.cmafHeader !== null) {
+      fields.push(bytesField(DECODER_CONFIG_CMAF_HEADER, this.cmafHeader))
+    }
+    return concatBuffer([numberToVarInt(this.version), numberToVarInt(this.configId), ...fields])
+  }
+}
+
+// Parses a serialized decoder config, sync
+export function decoderConfigFromBytes (bytes) {
+  const packet = new DecoderConfigPackager()
+  packet.ReadHeader(new BufferedReader(bytes))
+  return packet.GetData()
+}
+
+export function decoderConfigToBytes (configId, decoderConfig, cmafHeader) {
+  const packet = new DecoderConfigPackager()
+  packet.SetData('', configId, decoderConfig, cmafHeader)
+  return packet.ToBytes()
+}
+
+function varIntField (type, value) {
+  return concatBuffer([numberToVarInt(type), numberToVarInt(value)])
+}
+
+function bytesField (type, bytes) {
+  return concatBuffer([numberToVarInt(type), numberToVarInt(bytes.byteLength), bytes])
+}
+
+// description can be any BufferSource
+function toUint8Array (bufferSource) {
+  if (ArrayBuffer.isView(bufferSource)) {
+    return new Uint8Array(bufferSource.buffer, bufferSource.byteOffset, bufferSource.byteLength)
+  }
+  return new Uint8Array(bufferSource)
+}
@@ -0,0 +1,169 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { numberToVarInt } from '../utils/varint.js'
+import { concatBuffer } from '../utils/buffer_utils.js'
+import { BufferedReader } from '../utils/buffered_reader.js'
+
+// LOC (https://datatracker.ietf.org/doc/draft-ietf-moq-loc/) payload with typed header extensions
+// Object payload: extensions length (bytes), extensions, LOC payload (encoded media until the end)
+// Extension: type (varint), even types have a varint value, odd types a length and bytes. Unknown types are skipped
+// The media type is NOT in the object (it comes from the catalog / track), and the decoder config is in the init track (see utils/init_track.js)
+
+// Registered in the LOC draft
+export const LOC_EXT_CAPTURE_TIMESTAMP = 0x02 // Wall clock in microseconds since the Unix epoch
+export const LOC_EXT_VIDEO_FRAME_MARKING = 0x04 // RFC 9626 (S, E, I, D, B, TID)
+export const LOC_EXT_AUDIO_LEVEL = 0x06 // RFC 6464 (V flag + level in -dBov)
+export const LOC_EXT_VIDEO_CONFIG = 0x0D // Codec extradata (ex: AVCDecoderConfigurationRecord), NOT sent (it is in the init track)
+
+// NOT registered, used between our publisher and player (other LOC implementations skip them)
+export const LOC_EXT_MEDIA_TIMESTAMP = 0x3F00 // Microseconds
+export const LOC_EXT_DURATION = 0x3F02 // Microseconds
+export const LOC_EXT_SEQ_ID = 0x3F04
+export const LOC_EXT_CONFIG_ID = 0x3F06 // Decoder config of the init track (see packager/decoder_config_packager.js)
+
+const FRAME_MARKING_START = 0x80
+const FRAME_MARKING_END = 0x40
+const FRAME_MARKING_INDEPENDENT = 0x20
+
+export class LocExtPackager {
+  constructor (mediaType) {
+    this.mediaType = (mediaType === undefined) ? '' : mediaType
+    this.timestamp = 0
+    this.duration = 0
+    this.chunkType = ''
+    this.seqId = -1
+    this.firstFrameClkms = 0
+    this.audioLevel = undefined
+    this.configId = undefined
+    this.pId = ''
+
+    this.data = null
+
+    // Internal
+    this.unknownExtensions = 0
+  }
+
+  // audioLevel: Optional, RFC 6464 value (0 is the loudest, 127 silence)
+  SetData (mediaType, timestamp, duration, chunkType, seqId, firstFrameClkms, configId, data, audioLevel) {
+    this.pId = btoa(`${mediaType}-${timestamp}-${chunkType}-${seqId}-${Math.floor(Math.random() * 100000)}`)
+
+    this.seqId = seqId
+    this.timestamp = timestamp
+
+    this.mediaType = mediaType
+    this.duration = duration
+    this.chunkType = chunkType
+    this.firstFrameClkms = firstFrameClkms
+    this.audioLevel = audioLevel
+    this.configId = configId
+
+    this.data = data
+  }
+
+  // reader: BufferedReader, the data goes until the end of it
+  async ReadBytes (reader) {
+    await reader.Parse(r => this.ReadHeader(r))
+    this.data = await reader.ReadUntilEof()
+  }
+
+  // Sync, it throws if the header is NOT in the reader buffer yet
+  ReadHeader (r) {
+    const extensionsSize = r.ReadVarInt()
+    const extReader = new BufferedReader(r.ReadBytes(extensionsSize))
+
+    let captureTimestampUs = 0
+    let timestamp
+    let frameMarking
+    this.configId = undefined
+    this.unknownExtensions = 0
+    while (extReader.GetAvailable() > 0) {
+      const type = extReader.ReadVarInt()
+      if (type % 2 === 1) {
+        extReader.ReadBytes(extReader.ReadVarInt())
+        if (type !== LOC_EXT_VIDEO_CONFIG) {
+          this.unknownExtensions++
+        }
+        continue
+      }
+      const value = extReader.ReadVarIntOrBigInt()
+      if (type === LOC_EXT_CAPTURE_TIMESTAMP) {
+        captureTimestampUs = Number(value)
+      } else if (type === LOC_EXT_VIDEO_FRAME_MARKING) {
+        frameMarking = Number(value)
+      } else if (type === LOC_EXT_AUDIO_LEVEL) {
+        this.audioLevel = Number(value)
+      } else if (type === LOC_EXT_MEDIA_TIMESTAMP) {
+        timestamp = Number(value)
+      } else if (type === LOC_EXT_DURATION) {
+        this.duration = Number(value)
+      } else if (type === LOC_EXT_SEQ_ID) {
+        this.seqId = Number(value)
+      } else if (type === LOC_EXT_CONFIG_ID) {
+        this.configId = Number(value)
+      } else {
+        this.unknownExtensions++
+      }
+    }
+    this.firstFrameClkms = Math.floor(captureTimestampUs / 1000)
+    // Publishers without our extensions, the capture time is the best media timestamp we have
+    this.timestamp = (timestamp === undefined) ? captureTimestampUs : timestamp
+    // Audio (and video without frame marking) chunks are all independent
+    this.chunkType = (frameMarking === undefined || (frameMarking & FRAME_MARKING_INDEPENDENT) > 0) ? 'key' : 'delta'
+  }
+
+  GetData () {
+    return {
+      seqId: this.seqId,
+      timestamp: this.timestamp,
+
+      mediaType: this.mediaType,
+      duration: this.duration,
+      chunkType: this.chunkType,
+      firstFrameClkms: this.firstFrameClkms,
+      audioLevel: this.audioLevel,
+      configId: this.configId,
+
+      pId: this.pId, // Internal
+
+      data: this.data
+    }
+  }
+
+  GetDataStr () {
+    const dataSize = (this.data === undefined || this.data == null) ? 0 : this.data.byteLength
+    return `${this.mediaType} - ${this.seqId} - ${this.timestamp} - ${this.duration} - ${this.chunkType} - ${this.firstFrameClkms} - ${this.audioLevel} - ${this.configId} - ${dataSize} - ${this.unknownExtensions}`
+  }
+
+  ToBytes () {
+    if (this.chunkType !== 'delta' && this.chunkType !== 'key') {
+      throw new Error(`chunkType ${this.chunkType} not supported`)
+    }
+    const extensions = [
+      varIntExtension(LOC_EXT_CAPTURE_TIMESTAMP, this.firstFrameClkms * 1000),
+      varIntExtension(LOC_EXT_MEDIA_TIMESTAMP, this.timestamp),
+      varIntExtension(LOC_EXT_DURATION, this.duration),
+      varIntExtension(LOC_EXT_SEQ_ID, this.seqId)
+    ]
+    if (this.mediaType === 'video') {
+      // Not scalable, every chunk is a whole frame
+      const frameMarking = FRAME_MARKING_START | FRAME_MARKING_END | ((this.chunkType === 'key') ? FRAME_MARKING_INDEPENDENT : 0)
+      extensions.push(varIntExtension(LOC_EXT_VIDEO_FRAME_MARKING, frameMarking))
+    } else if (this.mediaType === 'audio' && this.audioLevel !== undefined) {
+      extensions.push(varIntExtension(LOC_EXT_AUDIO_LEVEL, this.audioLevel))
+    }
+    if (this.configId !== undefined && this.configId > 0) {
+      extensions.push(varIntExtension(LOC_EXT_CONFIG_ID, this.configId))
+    }
+    const extensionsBytes = concatBuffer(extensions)
+    return concatBuffer([numberToVarInt(extensionsBytes.byteLength), extensionsBytes, this.data])
+  }
+}
+
+function varIntExtension (type, value) {
+  return concatBuffer([numberToVarInt(type), numberToVarInt(value)])
+}
@@ -5,8 +5,11 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
-import { numberToVarInt, varIntToNumber } from '../utils/varint.js'
-import { readUntilEof, buffRead, concatBuffer } from '../utils/buffer_utils.js'
+import { numberToVarInt } from '../utils/varint.js'
+import { concatBuffer } from '../utils/buffer_utils.js'
+
+// Header: mediaType, chunkType, seqId, timestamp, duration, firstFrameClkms, configId (0: none), data until the end
+// configId references the decoder config of the init track (see packager/decoder_config_packager.js)
 
 export class LocPackager {
   constructor () {
@@ -16,15 +19,13 @@ export class LocPackager {
     this.chunkType = ''
     this.seqId = -1
     this.firstFrameClkms = 0
+    this.configId = undefined
     this.pId = ''
 
-    this.metadata = null
     this.data = null
-
-    this.READ_BLOCK_SIZE = 1024
   }
 
-  SetData (mediaType, timestamp, duration, chunkType, seqId, firstFrameClkms, metadata, data) {
+  SetData (mediaType, timestamp, duration, chunkType, seqId, firstFrameClkms, configId, data) {
     const pId = btoa(`${mediaType}-${timestamp}-${chunkType}-${seqId}-${Math.floor(Math.random * 100000)}`)
 
     this.seqId = seqId
@@ -37,12 +38,19 @@ export class LocPackager {
 
     this.pId = pId // Internal
 
-    this.metadata = metadata
+    this.configId = configId
     this.data = data
   }
 
-  async ReadBytes (readerStream) {
-    const mediaTypeInt = await varIntToNumber(readerStream)
+  // reader: BufferedReader, the data goes until the end of it
+  async ReadBytes (reader) {
+    await reader.Parse(r => this.ReadHeader(r))
+    this.data = await reader.ReadUntilEof()
+  }
+
+  // Sync, it throws if the header is NOT in the reader buffer yet
+  ReadHeader (r) {
+    const mediaTypeInt = r.ReadVarInt()
     if (mediaTypeInt === 0) {
       this.mediaType = 'data'
     } else if (mediaTypeInt === 1) {
@@ -53,7 +61,7 @@ export class LocPackager {
       throw new Error(`Mediatype ${mediaTypeInt} not supported`)
     }
 
-    const chunkTypeInt = await varIntToNumber(readerStream)
+    const chunkTypeInt = r.ReadVarInt()
     if (chunkTypeInt === 0) {
       this.chunkType = 'delta'
     } else if (chunkTypeInt === 1) {
@@ -62,17 +70,12 @@ export class LocPackager {
       throw new Error(`chunkType ${chunkTypeInt} not supported`)
     }
 
-    this.seqId = await varIntToNumber(readerStream)
-    this.timestamp = await varIntToNumber(readerStream)
-    this.duration = await varIntToNumber(readerStream)
-    this.firstFrameClkms = await varIntToNumber(readerStream)
-    const metadataSize = await varIntToNumber(readerStream)
-    if (metadataSize > 0) {
-      this.metadata = await buffRead(readerStream, metadataSize)
-    } else {
-      this.metadata = null
-    }
-    this.data = await readUntilEof(readerStream, this.READ_BLOCK_SIZE)
+    this.seqId = r.ReadVarInt()
+    this.timestamp = r.ReadVarInt()
+    this.duration = r.ReadVarInt()
+    this.firstFrameClkms = r.ReadVarInt()
+    const configId = r.ReadVarInt()
+    this.configId = (configId > 0) ? configId : undefined
   }
 
   GetData () {
@@ -84,18 +87,17 @@ export class LocPackager {
       duration: this.duration,
       chunkType: this.chunkType,
       firstFrameClkms: this.firstFrameClkms,
+      configId: this.configId,
 
       pId: this.pId, // Internal
 
-      data: this.data,
-      metadata: this.metadata
+      data: this.data
     }
   }
 
   GetDataStr () {
-    const metadataSize = (this.metadata === undefined || this.metadata == null) ? 0 : this.metadata.byteLength
     const dataSize = (this.data === undefined || this.data == null) ? 0 : this.data.byteLength
-    return `${this.mediaType} - ${this.seqId} - ${this.timestamp} - ${this.duration} - ${this.chunkType} - ${this.firstFrameClkms} - ${metadataSize} - ${dataSize}`
+    return `${this.mediaType} - ${this.seqId} - ${this.timestamp} - ${this.duration} - ${this.chunkType} - ${this.firstFrameClkms} - ${this.configId} - ${dataSize}`
   }
 
   ToBytes () {
@@ -126,14 +128,8 @@ export class LocPackager {
 
     const firstFrameClkmsBytes = numberToVarInt(this.firstFrameClkms)
 
-    const metadataSize = (this.metadata === undefined || this.metadata == null) ? 0 : this.metadata.byteLength
-    const metadataSizeBytes = numberToVarInt(metadataSize)
-    let ret = null
-    if (metadataSize > 0) {
-      ret = concatBuffer([mediaTypeBytes, chunkTypeBytes, seqIdBytes, timestampBytes, durationBytes, firstFrameClkmsBytes, metadataSizeBytes, this.metadata, this.data])
-    } else {
-      ret = concatBuffer([mediaTypeBytes, chunkTypeBytes, seqIdBytes, timestampBytes, durationBytes, firstFrameClkmsBytes, metadataSizeBytes, this.data])
-    }
-    return ret
+    const configIdBytes = numberToVarInt((this.configId === undefined) ? 0 : this.configId)
+
+    return concatBuffer([mediaTypeBytes, chunkTypeBytes, seqIdBytes, timestampBytes, durationBytes, firstFrameClkmsBytes, configIdBytes, this.data])
   }
 }
@@ -0,0 +1,29 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { LocPackager } from './loc_packager.js'
+import { LocExtPackager } from './loc_ext_packager.js'
+import { CmafPackager } from './cmaf_packager.js'
+import { MOQ_CATALOG_PACKAGING_LOC, MOQ_CATALOG_PACKAGING_LOC_EXT, MOQ_CATALOG_PACKAGING_CMAF } from '../utils/catalog.js'
+
+// Packaging of the media tracks, selected per track (packaging), also published in the catalog
+export const MEDIA_PACKAGINGS = [MOQ_CATALOG_PACKAGING_LOC, MOQ_CATALOG_PACKAGING_LOC_EXT, MOQ_CATALOG_PACKAGING_CMAF]
+export const MEDIA_PACKAGING_DEFAULT = MOQ_CATALOG_PACKAGING_LOC
+
+// mediaType is needed to read packagings that do NOT carry it (LOC with extensions, CMAF)
+export function createMediaPackager (packaging, mediaType) {
+  if (packaging === undefined || packaging === MOQ_CATALOG_PACKAGING_LOC) {
+    return new LocPackager()
+  }
+  if (packaging === MOQ_CATALOG_PACKAGING_LOC_EXT) {
+    return new LocExtPackager(mediaType)
+  }
+  if (packaging === MOQ_CATALOG_PACKAGING_CMAF) {
+    return new CmafPackager(mediaType)
+  }
+  throw new Error(`Packaging ${packaging} NOT supported, supported: ${JSON.stringify(MEDIA_PACKAGINGS)}`)
+}
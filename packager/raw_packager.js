@@ -5,11 +5,7 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
-import { readUntilEof } from '../utils/buffer_utils.js'
-
 export class RawPackager {
-  READ_BLOCK_SIZE = 1024
-
   constructor () {
     this.data = ''
 
@@ -17,8 +13,6 @@ export class RawPackager {
     this.mediaType = ''
     this.chunkType = ''
     this.seqId = -1
-
-    this.READ_BLOCK_SIZE = 1024
   }
 
   SetData (mediaType, chunkType, seqId, data) {
@@ -28,8 +22,9 @@ export class RawPackager {
     this.data = data
   }
 
-  async ReadBytes (readerStream) {
-    const payloadBytes = await readUntilEof(readerStream, this.READ_BLOCK_SIZE)
+  // reader: BufferedReader, the data goes until the end of it
+  async ReadBytes (reader) {
+    const payloadBytes = await reader.ReadUntilEof()
     this.data = new TextDecoder().decode(payloadBytes)
   }
 
@@ -5,12 +5,10 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
-import { sendMessageToMain, StateEnum, isMetadataValid, serializeMetadata } from './utils.js'
+import { sendMessageToMain, StateEnum, updateDecoderConfig } from './utils.js'
 
 const WORKER_PREFIX = '[AUDIO-ENC]'
 
-const INSERT_METADATA_EVERY_AUDIO_FRAMES = 20
-
 let frameDeliveredCounter = 0
 let chunkDeliveredCounter = 0
 let workerState = StateEnum.Created
@@ -18,8 +16,12 @@ let workerState = StateEnum.Created
 // Default values
 let encoderMaxQueueSize = 5
 
-// Last received metadata
-let lastAudioMetadata
+// Decoder config in use, the chunks reference it by configId
+let currentDecoderConfig
+
+// RFC 6464 level (-dBov, 127 is silence) of the last frame sent to encode, undefined if the sample format is NOT float
+let lastAudioLevel
+const AUDIO_LEVEL_MIN = 127
 
 // Encoder
 const initAudioEncoder = {
@@ -36,19 +38,12 @@ const initAudioEncoder = {
 let aEncoder = null
 
 function handleChunk (chunk, metadata) {
-  // Save last metadata and insert it if it is new
-  let insertMetadata
-  if (isMetadataValid(metadata)) {
-    lastAudioMetadata = metadata
-    insertMetadata = lastAudioMetadata
-  } else {
-    // Inject last received metadata every few secs following video IDR behavior
-    if (chunkDeliveredCounter % INSERT_METADATA_EVERY_AUDIO_FRAMES === 0) {
-      insertMetadata = lastAudioMetadata
-    }
-  }
+  // The config is only sent when it changes (new configId), players get it from the init track
+  const decoderConfig = updateDecoderConfig(currentDecoderConfig, metadata)
+  const newMetadata = (decoderConfig !== currentDecoderConfig) ? decoderConfig.metadata : undefined
+  currentDecoderConfig = decoderConfig
 
-  const msg = { type: 'achunk', seqId: chunkDeliveredCounter++, chunk, metadata: serializeMetadata(insertMetadata) }
+  const msg = { type: 'achunk', seqId: chunkDeliveredCounter++, chunk, metadata: newMetadata, configId: (decoderConfig === undefined) ? undefined : decoderConfig.configId, audioLevel: lastAudioLevel }
   sendMessageToMain(WORKER_PREFIX, 'info', 'Chunk created. sId: ' + msg.seqId + ', Timestamp: ' + chunk.timestamp + ', dur: ' + chunk.duration + ', type: ' + chunk.type + ', size: ' + chunk.byteLength)
 
   self.postMessage(msg)
@@ -72,7 +67,8 @@ self.addEventListener('message', async function (e) {
 
     aEncoder.close()
 
-    lastAudioMetadata = undefined
+    currentDecoderConfig = undefined
+    lastAudioLevel = undefined
     return
   }
   if (type === 'aencoderini') {
@@ -102,7 +98,29 @@ self.addEventListener('message', async function (e) {
   } else {
     sendMessageToMain(WORKER_PREFIX, 'debug', 'Send to encode frame ts: ' + aFrame.timestamp + '. Counter: ' + frameDeliveredCounter++)
 
+    lastAudioLevel = getAudioLevel(aFrame)
     aEncoder.encode(aFrame)
     aFrame.close()
   }
 })
+
+// RMS of the first channel in dBov (0 is full scale)
+function getAudioLevel (aFrame) {
+  if (aFrame.format !== 'f32-planar' && aFrame.format !== 'f32') {
+    return undefined
+  }
+  const samples = new Float32Array(aFrame.allocationSize({ planeIndex: 0 }) / Float32Array.BYTES_PER_ELEMENT)
+  aFrame.copyTo(samples, { planeIndex: 0 })
+  const step = (aFrame.format === 'f32') ? aFrame.numberOfChannels : 1
+  let sum = 0
+  let num = 0
+  for (let i = 0; i < samples.length; i += step) {
+    sum += samples[i] * samples[i]
+    num++
+  }
+  if (num <= 0 || sum <= 0) {
+    return AUDIO_LEVEL_MIN
+  }
+  const dBov = 10 * Math.log10(sum / num)
+  return Math.min(AUDIO_LEVEL_MIN, Math.max(0, Math.round(-dBov)))
+}
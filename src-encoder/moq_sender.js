@@ -6,14 +6,44 @@ LICENSE file in the root directory of this source tree.
 */
 
 import { sendMessageToMain, StateEnum } from './utils.js'
-import { moqCreate, moqClose, moqParseSubscribe, moqCreateControlStream, moqSendSubscribeResponse, moqSendObjectToWriter, moqSendSetup, moqParseSetupResponse, MOQ_PARAMETER_ROLE_PUBLISHER, MOQ_PARAMETER_ROLE_SUBSCRIBER, MOQ_PARAMETER_ROLE_BOTH, moqSendAnnounce, moqParseAnnounceResponse } from '../utils/moqt.js'
-import { LocPackager } from '../packager/loc_packager.js'
+import { moqCreate, moqClose, moqCreateControlStream, moqSendSubscribeResponse, moqSendObjectToWriter, moqSendGroupStreamHeaderToWriter, moqSendGroupObjectToWriter, moqCreateObjectDatagramBytes, moqSendSetup, moqParseSetupResponse, MOQ_PARAMETER_ROLE_PUBLISHER, MOQ_PARAMETER_ROLE_SUBSCRIBER, MOQ_PARAMETER_ROLE_BOTH, moqSendAnnounce, moqParseAnnounceResponse, MOQ_DRAFT03_VERSION, moqParseControlMessage, moqSendSubscribeError, moqSendSubscribeDone, moqSendUnAnnounce, moqGetSubscriptionStr, MOQ_MESSAGE_SUBSCRIBE, MOQ_MESSAGE_UNSUBSCRIBE, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, MOQ_SUBSCRIBE_ERROR_INTERNAL, MOQ_SUBSCRIBE_ERROR_INVALID_RANGE, MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, MOQ_SUBSCRIBE_DONE_TRACK_ENDED, MOQ_SUBSCRIBE_DONE_EXPIRED, moqGetAbsoluteSubscribeRange, moqToJSONString } from '../utils/moqt.js'
+import { createMediaPackager, MEDIA_PACKAGINGS } from '../packager/media_packager.js'
 import { RawPackager } from '../packager/raw_packager.js'
+import { DecoderConfigPackager, decoderConfigFromBytes } from '../packager/decoder_config_packager.js'
+import { cmafCreateInitSegment } from '../packager/cmaf_packager.js'
+import { GroupCache } from '../utils/group_cache.js'
+import { SendOrderCalculator, SEND_ORDER_POLICY_DEFAULT } from '../utils/send_order.js'
+import { createTransportSession, createTransportOptions } from '../utils/transport.js'
+import { checkSubscribeRange, isInSubscriptionRange, isSubscriptionFinished } from '../utils/subscribe_range.js'
+import { catalogCreate, MOQ_CATALOG_TRACK_NAME_DEFAULT, MOQ_CATALOG_PACKAGING_RAW, MOQ_CATALOG_PACKAGING_CMAF } from '../utils/catalog.js'
+import { initTrackIsNeeded, initTrackGetType, initTrackGetName, MOQ_INIT_TRACK_NAME_SUFFIX } from '../utils/init_track.js'
+import { SFrameContext } from '../utils/sframe.js'
+import { authTokenImportKey, authTokenValidate, authTokenScheduleExpiration, AUTH_TOKEN_ROLE_SUBSCRIBER } from '../utils/auth_token.js'
 
 const WORKER_PREFIX = '[MOQ-SENDER]'
 
+// Last group (from keyframe) is enough to join immediately
+const MAX_CACHED_GROUPS_DEFAULT = 1
+
+// Stream per object, stream per group, or datagram (only draft-03)
+const DELIVERY_MODES = ['object', 'group', 'datagram']
+const DELIVERY_MODE_DEFAULT = 'object'
+
+// Used if WT does not report it
+const DATAGRAM_MAX_SIZE_DEFAULT = 1200
+
+// Per track byte budget and time to deliver an object before resetting its stream (0: disabled)
+const MAX_QUEUED_BYTES_DEFAULT = 0
+const OBJECT_DEADLINE_MS_DEFAULT = 0
+
+// Per track time to live of the objects since they are created, late ones are NOT sent or their stream is reset (0: disabled)
+const OBJECT_TTL_MS_DEFAULT = 0
+
 let moqPublisherState = {}
 
+// Send order of every object, based on the sendOrderPolicy of its track
+const sendOrderCalculator = new SendOrderCalculator()
+
 let workerState = StateEnum.Created
 
 let isSendingStats = true
@@ -25,22 +55,80 @@ let tracks = {}
         id: 0,
         maxInFlightRequests: 100,
         isHipri: true,
-        authInfo: "secret"
+        authInfo: "secret",
+        maxCachedGroups: 1,
+        delivery: "datagram",
+        maxQueuedBytes: 65536, // Optional, 0 (default) is no limit
+        objectDeadlineMs: 500, // Optional, 0 (default) is no deadline
+        sendOrderPolicy: "strictAudio", // Optional, see utils/send_order.js
+        packaging: "loc-ext", // Optional, "loc" (default, our LOC variation) or "loc-ext" (LOC draft with header extensions) or "cmaf" (fMP4 fragments)
+        selectionParams: { codec: "opus", samplerate: 48000, channelConfig: "1", bitrate: 32000 } // Optional, published in the catalog (also packaging and renderGroup)
     },
     "video": {
         id: 1,
         maxInFlightRequests: 50,
         isHipri: false,
-        authInfo: "secret"
+        authInfo: "secret",
+        maxCachedGroups: 2,
+        delivery: "group",
+        maxQueuedBytes: 2000000,
+        objectDeadlineMs: 2000,
+        objectTtlMs: 3000, // Optional, 0 (default) is no TTL
+        cancelPreviousGroup: true, // Optional, default false
+        sendOrderPolicy: "keyframeBoost",
+        sendOrderWeight: 3, // Optional, only used by weightedFair (default 1)
+        encryption: { keyId: 1, key: "secret-1" } // Optional, end to end encryption (see utils/sframe.js)
     }
 } */
 
+// A catalog track is added to every namespace (see utils/catalog.js)
+let catalogTrackName = MOQ_CATALOG_TRACK_NAME_DEFAULT
+let catalogSeqId = 0
+
+// An init track is added to every media track (see utils/init_track.js), it carries the current decoder config
+// Current decoder config per media track ({ configId, decoderConfig }), the encoders only send it when it changes
+let decoderConfigs = {}
+
+// If the secret is configured (muxerSenderConfig.authKey) subscribers authInfo is a signed token (see utils/auth_token.js),
+// if not it has to be the same than the track authInfo
+let authKey = null
+
+// When the transport session is lost it reconnects (exponential backoff), announces again and keeps the group sequences
+// Example
+/* reconnect: {
+    isEnabled: true,
+    initialDelayMs: 500,
+    maxDelayMs: 10000,
+    maxAttempts: 0 // 0: forever
+} */
+const RECONNECT_DEFAULT = { isEnabled: true, initialDelayMs: 500, maxDelayMs: 10000, maxAttempts: 0 }
+let reconnectConfig = RECONNECT_DEFAULT
+let urlHostPort = ''
+let transportOptions = {}
+
 // Inflight req abort signal
 const abortController = new AbortController()
 let inFlightRequests = {}
 
+// Bytes written to streams and NOT consumed yet by the transport (per track)
+let queuedBytes = {}
+
 // MOQT data
 const moqt = moqCreate()
+let announcedNamespaces = []
+
+// Active subscriptions (one per received SUBSCRIBE)
+let subscriptions = {}
+let subscriptionsCounter = 0
+
+// Open streams in group delivery mode (one per track and send target)
+let groupStreams = {}
+
+// Shared by all the tracks in datagram delivery mode
+let datagramWriter = null
+
+// End to end encryption contexts (tracks with encryption), payloads are encrypted after packaging and in order (per track)
+let encryptionContexts = {}
 
 self.addEventListener('message', async function (e) {
   if (workerState === StateEnum.Created) {
@@ -59,13 +147,16 @@ self.addEventListener('message', async function (e) {
     // Abort and wait for all inflight requests
     try {
       abortController.abort()
+      closeAllGroupStreams()
       await Promise.all(getAllInflightRequestsArray())
     } catch (err) {
       // Expected to finish some promises with abort error
       // The abort "errors" are already sent to main "thead" by sendMessageToMain inside the promise
       sendMessageToMain(WORKER_PREFIX, 'info', `Aborting streams while exiting. Err: ${err.message}`)
     } finally {
+      await moqUnAnnounceAll(moqt)
       await moqClose(moqt)
+      releaseAllSubscriptions('publisher stopped')
     }
     return
   }
@@ -87,6 +178,12 @@ self.addEventListener('message', async function (e) {
     if ('moqTracks' in e.data.muxerSenderConfig) {
       tracks = e.data.muxerSenderConfig.moqTracks
     }
+    if ('catalogTrackName' in e.data.muxerSenderConfig) {
+      catalogTrackName = e.data.muxerSenderConfig.catalogTrackName
+    }
+    if ('reconnect' in e.data.muxerSenderConfig) {
+      reconnectConfig = Object.assign({}, RECONNECT_DEFAULT, e.data.muxerSenderConfig.reconnect)
+    }
 
     if (urlHostPortEp === '') {
       sendMessageToMain(WORKER_PREFIX, 'error', 'Empty host port')
@@ -97,76 +194,92 @@ self.addEventListener('message', async function (e) {
       sendMessageToMain(WORKER_PREFIX, 'error', errTrackStr)
       return
     }
+    addCatalogTracks()
+    addInitTracks()
+    decoderConfigs = {}
 
     try {
-      // Reset state
+      // Reset state (it can be a previous lost session)
       moqResetState()
-      await moqClose(moqt)
+      await moqCloseLostSession()
+
+      encryptionContexts = {}
+      for (const [trackType, track] of Object.entries(tracks)) {
+        if ('encryption' in track) {
+          await setEncryptionKey(trackType, track.encryption.keyId, track.encryption.key)
+        }
+      }
+
+      if ('authKey' in e.data.muxerSenderConfig && e.data.muxerSenderConfig.authKey !== '') {
+        authKey = await authTokenImportKey(e.data.muxerSenderConfig.authKey)
+      }
+
+      // Certificate trust (tlsTrust), by default the fingerprint served by the page origin
+      urlHostPort = urlHostPortEp
+      transportOptions = await createTransportOptions(urlHostPortEp, e.data.muxerSenderConfig.tlsTrust)
 
-      // WT needs https to establish connection
-      const url = new URL(urlHostPortEp)
-      // Replace protocol
-      url.protocol = 'https'
-
-      // Chrome needs a fingerprint of the certificate
-      const options = {
-        serverCertificateHashes: [
-            {
-                algorithm: "sha-256",
-                value: new Uint8Array(JSON.parse(await (await this.fetch("/fingerprint.txt", { method: "GET" })).text()))
-            }
-        ]
-    }
-
-      // Ini WT
-      // eslint-disable-next-line no-undef
-      moqt.wt = new WebTransport(url.href, options)
-      moqt.wt.closed
-        .then(() => {
-          sendMessageToMain(WORKER_PREFIX, 'info', 'WT closed transport session')
-        })
-        .catch(error => {
-          sendMessageToMain(WORKER_PREFIX, 'error', 'WT error, closed transport. Err: ' + error)
-        })
-
-      await moqt.wt.ready
-      await moqCreateControlStream(moqt)
-      await moqCreatePublisherSession(moqt)
+      await moqConnect()
 
       inFlightRequests = initInflightReqData(tracks)
+      queuedBytes = initQueuedBytesData()
 
       sendMessageToMain(WORKER_PREFIX, 'info', 'MOQ Initialized, waiting for subscriptions')
-      workerState = StateEnum.Running
-
-      startLoopSubscriptionsLoop(moqt.controlReader, moqt.controlWriter)
-        .then(_ => {
-          sendMessageToMain(WORKER_PREFIX, 'info', 'Exited receiving subscription loop in control stream')
-        })
-        .catch(err => {
-          if (workerState !== StateEnum.Stopped) {
-            sendMessageToMain(WORKER_PREFIX, 'error', `Error in the subscription loop in control stream. Err: ${JSON.stringify(err)}`)
-          } else {
-            sendMessageToMain(WORKER_PREFIX, 'info', `Exited receiving subscription loop in control stream. Err: ${JSON.stringify(err)}`)
-          }
-        })
+      moqStartPublishing()
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Initializing MOQ. Err: ${err.message}`)
+    }
+
+    return
+  }
+
+  // Key rotation: { trackType, keyId, key }, the next objects of the track are encrypted with it
+  if (type === 'encryptionkey') {
+    if (!(e.data.trackType in tracks)) {
+      sendMessageToMain(WORKER_PREFIX, 'error', `${type}: track ${e.data.trackType} does NOT exist`)
+      return
+    }
+    try {
+      await setEncryptionKey(e.data.trackType, e.data.keyId, e.data.key)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Encrypting track ${e.data.trackType} with key ID ${e.data.keyId}`)
     } catch (err) {
-      sendMessageToMain(WORKER_PREFIX, 'error', `Initializing MOQ. Err: ${JSON.stringify(err)}`)
+      sendMessageToMain(WORKER_PREFIX, 'error', `${type} ${e.data.trackType}: ${err.message}`)
     }
+    return
+  }
 
+  if (type === 'addtrack' || type === 'removetrack') {
+    if (workerState !== StateEnum.Running) {
+      sendMessageToMain(WORKER_PREFIX, 'error', `received ${type} message in wrong state. State: ${workerState}`)
+      return
+    }
+    const errStr = (type === 'addtrack') ? addTrack(e.data.trackType, e.data.track) : removeTrack(e.data.trackType)
+    if (errStr !== '') {
+      sendMessageToMain(WORKER_PREFIX, 'error', `${type} ${e.data.trackType}: ${errStr}`)
+    }
     return
   }
 
+  // Kept even if the chunk is dropped, the config is published when it is possible
+  if (e.data.metadata !== undefined && e.data.metadata != null && type in tracks && initTrackIsNeeded(type, tracks[type])) {
+    try {
+      setDecoderConfig(type, e.data.metadata)
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Invalid decoder config received for ${type}. Err: ${err.message}`)
+    }
+  }
+
   if (workerState !== StateEnum.Running) {
     sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId: e.data.seqId, ts: e.data.chunk.timestamp, msg: 'Dropped chunk because transport is NOT open yet' })
     return
   }
 
-  if (!(type in tracks)) {
+  if (!(type in tracks) || tracks[type].isCatalog === true || tracks[type].isInit === true) {
     sendMessageToMain(WORKER_PREFIX, 'error', `Invalid message received ${type} is NOT in tracks ${JSON.stringify(tracks)}`)
     return
   }
 
-  if (!('numSubscribers' in tracks[type]) || (tracks[type].numSubscribers <= 0)) {
+  // If the track is cached we keep packaging it, so new subscribers can start from past groups
+  if ((!('numSubscribers' in tracks[type]) || (tracks[type].numSubscribers <= 0)) && getMaxCachedGroups(tracks[type]) <= 0) {
     sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId: e.data.seqId, ts: e.data.chunk.timestamp, msg: `Dropped chunk because there is NO subscribers for track ${type}` })
     return
   }
@@ -176,57 +289,364 @@ self.addEventListener('message', async function (e) {
   const estimatedDuration = (e.data.estimatedDuration === undefined || e.data.estimatedDuration < 0) ? e.data.chunk.duration : e.data.estimatedDuration
   const seqId = (e.data.seqId === undefined) ? 0 : e.data.seqId
 
-  const chunkData = { mediaType: type, firstFrameClkms, compensatedTs, estimatedDuration, seqId, chunk: e.data.chunk, metadata: e.data.metadata }
-  sendChunkToTransport(chunkData, inFlightRequests[type], tracks[type].maxInFlightRequests)
+  const chunkData = { mediaType: type, firstFrameClkms, compensatedTs, estimatedDuration, seqId, chunk: e.data.chunk, configId: e.data.configId, audioLevel: e.data.audioLevel }
+  sendChunkToTransport(chunkData, inFlightRequests[type], tracks[type].maxInFlightRequests, queuedBytes[type], getMaxQueuedBytes(tracks[type]))
     .then(val => {
       if (val !== undefined && val.dropped === true) {
+        // Dropped before the object is created, it does not have send order
         sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId, mediaType: type, ts: chunkData.timestamp, msg: val.message })
       } else {
         sendMessageToMain(WORKER_PREFIX, 'debug', `SENT CHUNK ${type} - ${seqId}`)
+        if (isSendingStats) {
+          self.postMessage({ type: 'objectsendstats', clkms: Date.now(), mediaType: type, seqId, groupSeq: val.groupSeq, objSeq: val.objSeq, sendOrder: val.sendOrder })
+        }
       }
     })
     .catch(err => {
-      sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId, mediaType: chunkData.mediaType, ts: chunkData.timestamp, msg: err.message })
+      sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId, mediaType: chunkData.mediaType, ts: chunkData.timestamp, sendOrder: err.sendOrder, msg: err.message })
       sendMessageToMain(WORKER_PREFIX, 'error', 'error sending chunk. Err:  ' + err.message)
     })
 
   // Report stats
   if (isSendingStats) {
-    self.postMessage({ type: 'sendstats', clkms: Date.now(), inFlightReq: getInflightRequestsReport() })
+    self.postMessage({ type: 'sendstats', clkms: Date.now(), inFlightReq: getInflightRequestsReport(), queuedBytes: getQueuedBytesReport(), sendOrder: getSendOrderReport() })
   }
 })
 
+// Connection
+
+// Ini WT (or loopback session), SETUP and ANNOUNCE
+async function moqConnect () {
+  const session = createTransportSession(urlHostPort, transportOptions)
+  moqt.session = session
+  session.closed
+    .then(() => {
+      onTransportSessionClosed(session, '')
+    })
+    .catch(error => {
+      onTransportSessionClosed(session, `${error}`)
+    })
+
+  await session.ready
+  await moqCreateControlStream(moqt)
+  await moqCreatePublisherSession(moqt)
+}
+
+function moqStartPublishing () {
+  workerState = StateEnum.Running
+  reportConnectionState('connected', {})
+
+  // Cached, so subscribers get the current catalog when they join
+  for (const namespace of announcedNamespaces) {
+    publishCatalog(namespace)
+  }
+  for (const trackType of Object.keys(decoderConfigs)) {
+    publishDecoderConfig(trackType)
+  }
+
+  startLoopSubscriptionsLoop(moqt.controlReader, moqt.controlWriter)
+    .then(_ => {
+      sendMessageToMain(WORKER_PREFIX, 'info', 'Exited receiving subscription loop in control stream')
+    })
+    .catch(err => {
+      if (workerState === StateEnum.Running) {
+        sendMessageToMain(WORKER_PREFIX, 'error', `Error in the subscription loop in control stream. Err: ${JSON.stringify(err)}`)
+      } else {
+        sendMessageToMain(WORKER_PREFIX, 'info', `Exited receiving subscription loop in control stream. Err: ${JSON.stringify(err)}`)
+      }
+    })
+}
+
+function onTransportSessionClosed (session, errStr) {
+  // Already closed by us (stop) or replaced by a new one
+  if (session !== moqt.session) {
+    return
+  }
+  if (errStr === '') {
+    sendMessageToMain(WORKER_PREFIX, 'info', 'WT closed transport session')
+    releaseAllSubscriptions('transport session closed')
+  } else {
+    sendMessageToMain(WORKER_PREFIX, 'error', 'WT error, closed transport. Err: ' + errStr)
+    releaseAllSubscriptions('transport session error')
+  }
+  if (workerState !== StateEnum.Running) {
+    return
+  }
+  closeAllGroupStreams()
+  datagramWriter = null
+  if (!reconnectConfig.isEnabled) {
+    // It accepts a new ini
+    workerState = StateEnum.Instantiated
+    reportConnectionState('disconnected', {})
+    return
+  }
+  workerState = StateEnum.Reconnecting
+  moqReconnect()
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Reconnecting. Err: ${err.message}`)
+    })
+}
+
+async function moqReconnect () {
+  let delayMs = reconnectConfig.initialDelayMs
+  for (let attempt = 1; workerState === StateEnum.Reconnecting; attempt++) {
+    if (reconnectConfig.maxAttempts > 0 && attempt > reconnectConfig.maxAttempts) {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Giving up reconnecting after ${reconnectConfig.maxAttempts} attempts`)
+      workerState = StateEnum.Instantiated
+      reportConnectionState('disconnected', {})
+      return
+    }
+    reportConnectionState('reconnecting', { attempt, delayMs })
+    await new Promise(resolve => setTimeout(resolve, delayMs))
+    if (workerState !== StateEnum.Reconnecting) {
+      return
+    }
+    try {
+      await moqCloseLostSession()
+      await moqConnect()
+      if (workerState !== StateEnum.Reconnecting) {
+        // Stopped while connecting
+        await moqCloseLostSession()
+        return
+      }
+      sendMessageToMain(WORKER_PREFIX, 'info', `Reconnected after ${attempt} attempts`)
+      startNewGroups()
+      moqStartPublishing()
+      return
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Reconnection attempt ${attempt} failed. Err: ${err.message}`)
+      delayMs = Math.min(delayMs * 2, reconnectConfig.maxDelayMs)
+    }
+  }
+}
+
+// The streams of a lost session can NOT be closed cleanly
+async function moqCloseLostSession () {
+  try {
+    await moqClose(moqt)
+  } catch (err) {
+    sendMessageToMain(WORKER_PREFIX, 'debug', `Closing lost transport session. Err: ${err.message}`)
+  }
+}
+
+// Deltas are dropped until the encoder sends a keyframe, so subscribers start from a clean new group
+// The groups cached before the session was lost are stale, they are NOT sent to the new subscribers
+function startNewGroups () {
+  for (const [, track] of Object.entries(tracks)) {
+    if (track.id in moqPublisherState && track.isCatalog !== true) {
+      moqPublisherState[track.id].isWaitingForKeyframe = true
+      moqPublisherState[track.id].groupCache = new GroupCache(getMaxCachedGroups(track))
+    }
+  }
+  self.postMessage({ type: 'keyframerequest', clkms: Date.now(), reason: 'reconnected' })
+}
+
+function reportConnectionState (state, data) {
+  self.postMessage(Object.assign({ type: 'connectionstate', clkms: Date.now(), state }, data))
+}
+
 async function startLoopSubscriptionsLoop (controlReader, controlWriter) {
   sendMessageToMain(WORKER_PREFIX, 'info', 'Started subscription loop')
 
   while (workerState === StateEnum.Running) {
-    const subscribe = await moqParseSubscribe(controlReader)
-    const track = getTrack(subscribe.namespace, subscribe.trackName)
-    if (track == null) {
-      sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe received ${subscribe.namespace}/${subscribe.trackName} is NOT in tracks ${JSON.stringify(tracks)}`)
+    const msg = await moqParseControlMessage(controlReader, moqt.version)
+    if (msg.type === MOQ_MESSAGE_SUBSCRIBE) {
+      await processSubscribe(controlWriter, msg.data)
+    } else if (msg.type === MOQ_MESSAGE_UNSUBSCRIBE) {
+      await processUnSubscribe(controlWriter, msg.data)
     } else {
-      if (track.authInfo !== subscribe.parameters.authInfo) {
-        sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe authInfo ${subscribe.parameters.authInfo} does not match with ${JSON.stringify(tracks)}`)
-      } else {
-        if ('numSubscribers' in track) {
-          track.numSubscribers++
-        } else {
-          track.numSubscribers = 1
-        }
-        sendMessageToMain(WORKER_PREFIX, 'info', `New subscriber for track ${subscribe.namespace}/${subscribe.trackName}. Current num subscriber: ${track.numSubscribers}. AuthInfo MATCHED!`)
-        await moqSendSubscribeResponse(controlWriter, subscribe.namespace, subscribe.trackName, track.id, 0)
-      }
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Unexpected control message received in publisher, ignoring it. Type: ${msg.type}, data: ${moqToJSONString(msg.data)}`)
     }
   }
 }
 
-async function sendChunkToTransport (chunkData, inFlightRequests, maxFlightRequests) {
+async function processSubscribe (controlWriter, subscribe) {
+  const trackType = getTrackType(subscribe.namespace, subscribe.trackName)
+  if (trackType === undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe received ${subscribe.namespace}/${subscribe.trackName} is NOT in tracks ${JSON.stringify(tracks)}`)
+    await moqSendSubscribeError(controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, 'track does not exist')
+    return
+  }
+  const track = tracks[trackType]
+  const auth = await checkSubscribeAuth(track, subscribe)
+  if (auth.errStr !== '') {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe authInfo for ${subscribe.namespace}/${subscribe.trackName}: ${auth.errStr}`)
+    await moqSendSubscribeError(controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, `unauthorized: ${auth.errStr}`)
+    return
+  }
+  if (moqt.version === MOQ_DRAFT03_VERSION && findSubscription(subscribe) !== undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe received, subscribeId ${subscribe.subscribeId} already in use`)
+    await moqSendSubscribeError(controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_INTERNAL, 'subscribeId already in use')
+    return
+  }
+  const trackState = moqPublisherState[track.id]
+  const range = moqGetAbsoluteSubscribeRange(subscribe, (trackState === undefined) ? 0 : trackState.currentGroupSeq)
+  const errRangeStr = (trackState === undefined) ? checkSubscribeRange(range, -1) : checkSubscribeRange(range, trackState.currentGroupSeq, trackState.groupCache)
+  if (errRangeStr !== '') {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe range for ${subscribe.namespace}/${subscribe.trackName}: ${errRangeStr}. Range: ${moqToJSONString(range)}`)
+    await moqSendSubscribeError(controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_INVALID_RANGE, errRangeStr)
+    return
+  }
+  const subscription = addSubscription(trackType, subscribe, range)
+  if (auth.claims !== null) {
+    subscription.viewerId = auth.claims.viewerId
+    subscription.cancelAuthExpiration = authTokenScheduleExpiration(auth.claims.expMs, () => expireSubscription(subscription))
+  }
+  // Taken now, objects produced from here are sent as they arrive
+  const cachedObjects = getCachedObjects(subscription)
+  sendMessageToMain(WORKER_PREFIX, 'info', `New subscriber for track ${subscribe.namespace}/${subscribe.trackName}${(auth.claims !== null) ? ` (viewer ${auth.claims.viewerId})` : ''}. Range: ${moqToJSONString(range)}, cached objects: ${cachedObjects.length}. Current num subscriber: ${track.numSubscribers}. AuthInfo MATCHED!`)
+  await moqSendSubscribeResponse(controlWriter, moqt.version, subscribe.subscribeId, subscribe.namespace, subscribe.trackName, track.id, 0)
+
+  sendCachedObjects(subscription, cachedObjects)
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Sending cached objects to ${moqGetSubscriptionStr(subscription)}. Err: ${err.message}`)
+    })
+}
+
+// Returns { errStr, claims }, claims is null if tokens are NOT used
+async function checkSubscribeAuth (track, subscribe) {
+  if (authKey === null) {
+    return { errStr: (track.authInfo === subscribe.parameters.authInfo) ? '' : 'authInfo does not match', claims: null }
+  }
+  return authTokenValidate(authKey, subscribe.parameters.authInfo, AUTH_TOKEN_ROLE_SUBSCRIBER, subscribe.namespace, subscribe.trackName, Date.now())
+}
+
+function getCachedObjects (subscription) {
+  const trackState = moqPublisherState[tracks[subscription.trackType].id]
+  if (trackState === undefined) {
+    return []
+  }
+  return trackState.groupCache.GetObjectsFrom(subscription.startGroupSeq, subscription.startObjSeq).filter(obj => isInSubscriptionRange(subscription, obj.groupSeq, obj.objSeq))
+}
+
+// Always stream per object, the live group stream could already be carrying newer objects
+async function sendCachedObjects (subscription, cachedObjects) {
+  const target = (moqt.version === MOQ_DRAFT03_VERSION) ? subscription : getTrackTarget(subscription.trackType)
+  const ps = []
+  for (const obj of cachedObjects) {
+    ps.push(sendObject(subscription.trackType, target, obj, `cache-${subscription.id}-${obj.groupSeq}-${obj.objSeq}`))
+    subscription.lastGroupSeq = obj.groupSeq
+    subscription.lastObjSeq = obj.objSeq
+  }
+  // The requested range could be already in the past
+  const trackState = moqPublisherState[tracks[subscription.trackType].id]
+  if (trackState !== undefined && isSubscriptionFinished(subscription, trackState.currentGroupSeq, trackState.currentObjectSeq - 1)) {
+    finishSubscription(subscription)
+  }
+  return Promise.all(ps)
+}
+
+async function processUnSubscribe (controlWriter, unsubscribe) {
+  const subscription = findSubscription(unsubscribe)
+  if (subscription === undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', `Received UNSUBSCRIBE for ${moqGetSubscriptionStr(unsubscribe)}, but there is NOT any subscription for it`)
+    return
+  }
+  removeSubscription(subscription, 'unsubscribed')
+  sendMessageToMain(WORKER_PREFIX, 'info', `Removed subscriber for track ${subscription.namespace}/${subscription.trackName}. Current num subscriber: ${tracks[subscription.trackType].numSubscribers}`)
+  await moqSendSubscribeDone(controlWriter, moqt.version, unsubscribe.subscribeId, subscription.namespace, subscription.trackName, MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED, 'unsubscribed')
+}
+
+// Subscriptions
+
+function addSubscription (trackType, subscribe, range) {
+  const subscription = {
+    id: subscriptionsCounter++,
+    trackType,
+    subscribeId: subscribe.subscribeId,
+    // In draft-03 the subscriber assigns the ids used in the objects
+    trackAlias: subscribe.trackAlias,
+    namespace: subscribe.namespace,
+    trackName: subscribe.trackName,
+    // Absolute and inclusive, end -1 means open ended
+    startGroupSeq: range.startGroupSeq,
+    startObjSeq: range.startObjSeq,
+    endGroupSeq: range.endGroupSeq,
+    endObjSeq: range.endObjSeq,
+    // Last object sent
+    lastGroupSeq: -1,
+    lastObjSeq: -1
+  }
+  subscriptions[subscription.id] = subscription
+  updateNumSubscribers(trackType, 'subscribed')
+  return subscription
+}
+
+function removeSubscription (subscription, reason) {
+  if (!(subscription.id in subscriptions)) {
+    return
+  }
+  delete subscriptions[subscription.id]
+  if (subscription.cancelAuthExpiration !== undefined) {
+    subscription.cancelAuthExpiration()
+  }
+  closeGroupStream(getGroupStreamKey(subscription.trackType, subscription.id))
+  if (getSubscriptionsForTrack(subscription.trackType).length <= 0) {
+    closeGroupStream(getGroupStreamKey(subscription.trackType, getTrackTarget(subscription.trackType).id))
+  }
+  updateNumSubscribers(subscription.trackType, reason)
+}
+
+function releaseAllSubscriptions (reason) {
+  for (const subscription of Object.values(subscriptions)) {
+    removeSubscription(subscription, reason)
+  }
+}
+
+function findSubscription (data) {
+  // In draft-01 there is no subscribeId, we release the oldest subscription for that track
+  return Object.values(subscriptions).find(subscription => {
+    if (moqt.version === MOQ_DRAFT03_VERSION) {
+      return subscription.subscribeId === data.subscribeId
+    }
+    return subscription.namespace === data.namespace && subscription.trackName === data.trackName
+  })
+}
+
+function finishSubscription (subscription) {
+  sendMessageToMain(WORKER_PREFIX, 'info', `Reached end of subscription ${moqGetSubscriptionStr(subscription)}. Last object: ${subscription.lastGroupSeq}/${subscription.lastObjSeq}`)
+  endSubscription(subscription, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, 'subscription ended')
+}
+
+function expireSubscription (subscription) {
+  sendMessageToMain(WORKER_PREFIX, 'info', `Authorization expired for ${moqGetSubscriptionStr(subscription)} (viewer ${subscription.viewerId})`)
+  endSubscription(subscription, MOQ_SUBSCRIBE_DONE_EXPIRED, 'authorization expired')
+}
+
+// Removes the subscription and tells the subscriber (SUBSCRIBE_DONE)
+function endSubscription (subscription, statusCode, reason) {
+  removeSubscription(subscription, reason)
+  if (moqt.controlWriter == null) {
+    return
+  }
+  moqSendSubscribeDone(moqt.controlWriter, moqt.version, subscription.subscribeId, subscription.namespace, subscription.trackName, statusCode, reason, subscription.lastGroupSeq, subscription.lastObjSeq)
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Sending SUBSCRIBE_DONE for ${moqGetSubscriptionStr(subscription)}. Err: ${err.message}`)
+    })
+}
+
+function getSubscriptionsForTrack (trackType) {
+  return Object.values(subscriptions).filter(subscription => subscription.trackType === trackType)
+}
+
+function updateNumSubscribers (trackType, reason) {
+  const track = tracks[trackType]
+  // Objects are only sent to subscriptions (see getSendTargets), group numbering continues
+  track.numSubscribers = getSubscriptionsForTrack(trackType).length
+  self.postMessage({ type: 'subscriberschange', clkms: Date.now(), trackType, reason, subscribers: getSubscribersReport() })
+}
+
+async function sendChunkToTransport (chunkData, inFlightRequests, maxFlightRequests, trackQueuedBytes, maxQueuedBytes) {
   if (chunkData == null) {
     return { dropped: true, message: 'chunkData is null' }
   }
   if (Object.keys(inFlightRequests).length >= maxFlightRequests) {
     return { dropped: true, message: 'too many inflight requests' }
   }
+  // An object bigger than the budget is only sent if nothing is queued
+  if (maxQueuedBytes > 0 && trackQueuedBytes > 0 && trackQueuedBytes + chunkData.chunk.byteLength > maxQueuedBytes) {
+    return { dropped: true, message: `too many bytes queued (${trackQueuedBytes} + ${chunkData.chunk.byteLength} > ${maxQueuedBytes})` }
+  }
   return createRequest(chunkData)
 }
 
@@ -238,67 +658,399 @@ async function createRequest (chunkData) {
     packet = new RawPackager()
     packet.SetData(chunkData.mediaType, 'key', chunkData.seqId, chunkData.chunk)
   } else {
-    // Media LOC packager
-    packet = new LocPackager()
+    // Media packager (LOC variation, LOC draft with extensions or CMAF), the decoder config is referenced by configId
+    packet = createMediaPackager(tracks[chunkData.mediaType].packaging, chunkData.mediaType)
     // actual bytes of encoded data
     const chunkDataBuffer = new Uint8Array(chunkData.chunk.byteLength)
     chunkData.chunk.copyTo(chunkDataBuffer)
 
-    packet.SetData(chunkData.mediaType, chunkData.compensatedTs, chunkData.estimatedDuration, chunkData.chunk.type, chunkData.seqId, chunkData.firstFrameClkms, chunkData.metadata, chunkDataBuffer)
+    packet.SetData(chunkData.mediaType, chunkData.compensatedTs, chunkData.estimatedDuration, chunkData.chunk.type, chunkData.seqId, chunkData.firstFrameClkms, chunkData.configId, chunkDataBuffer, chunkData.audioLevel)
+  }
+  if (!(chunkData.mediaType in encryptionContexts)) {
+    return createSendPromise(packet, packet.ToBytes())
+  }
+  return createSendPromise(packet, await encryptPayload(chunkData.mediaType, packet.ToBytes()))
+}
+
+// Chained, so the objects are created in the same order than the chunks
+function encryptPayload (trackType, payload) {
+  const encryptionContext = encryptionContexts[trackType]
+  const p = encryptionContext.lastEncrypt.then(() => encryptionContext.sframe.Encrypt(payload))
+  encryptionContext.lastEncrypt = p.catch(() => {})
+  return p
+}
+
+async function setEncryptionKey (trackType, keyId, key) {
+  if (!(trackType in encryptionContexts)) {
+    encryptionContexts[trackType] = { sframe: new SFrameContext(trackType), lastEncrypt: Promise.resolve() }
   }
-  return createSendPromise(packet)
+  const sframe = encryptionContexts[trackType].sframe
+  await sframe.AddKey(keyId, key)
+  sframe.SetCurrentKeyId(keyId)
 }
 
-async function createSendPromise (packet) {
-  if (moqt.wt === null) {
+async function createSendPromise (packet, payload) {
+  if (moqt.session === null) {
     throw new Error(`request not send because transport is NOT open. For ${packet.GetData().mediaType} - ${packet.GetData().seqId}`)
   }
 
   if (!(packet.GetData().mediaType in tracks)) {
     throw new Error(`OBJECT mediaType NOT supported (no track found), received ${packet.GetData().mediaType}, tracks: ${JSON.stringify(tracks)}`)
   }
-  const trackId = tracks[packet.GetData().mediaType].id
+  const track = tracks[packet.GetData().mediaType]
+  const trackId = track.id
 
   if (!(trackId in moqPublisherState)) {
     if (packet.GetData().chunkType === 'delta') {
       return { dropped: true, message: `Dropped chunk because first object can not be delta, data: ${packet.GetDataStr()}` }
     }
-    moqPublisherState[trackId] = createTrackState()
+    moqPublisherState[trackId] = createTrackState(getMaxCachedGroups(track))
+  }
+  if (moqPublisherState[trackId].isWaitingForKeyframe) {
+    if (packet.GetData().chunkType === 'delta') {
+      return { dropped: true, message: `Dropped chunk because it is waiting for a keyframe after reconnecting, data: ${packet.GetDataStr()}` }
+    }
+    moqPublisherState[trackId].isWaitingForKeyframe = false
   }
-
-  const sendOrder = moqCalculateSendOrder(packet)
-
-  const uniStream = await moqt.wt.createUnidirectionalStream({ options: { sendOrder } })
-  const uniWriter = uniStream.getWriter()
 
   // Group sequence, Using it as a joining point
   if (packet.GetData().chunkType !== 'delta') {
     moqPublisherState[trackId].currentGroupSeq++
     moqPublisherState[trackId].currentObjectSeq = 0
+    if (track.cancelPreviousGroup === true) {
+      cancelPreviousGroups(packet.GetData().mediaType, moqPublisherState[trackId].currentGroupSeq)
+    }
   }
 
   const groupSeq = moqPublisherState[trackId].currentGroupSeq
   const objSeq = moqPublisherState[trackId].currentObjectSeq
+  moqPublisherState[trackId].currentObjectSeq++
 
-  sendMessageToMain(WORKER_PREFIX, 'debug', `Sending MOQT ${trackId}/${groupSeq}/${objSeq}(${sendOrder}). Data: ${packet.GetDataStr()}`)
+  const sendOrder = moqCalculateSendOrder(packet, groupSeq, objSeq, payload.byteLength)
+
+  const obj = { groupSeq, objSeq, sendOrder, payload, createdClkms: Date.now() }
+  moqPublisherState[trackId].groupCache.AddObject(obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload)
+
+  const trackType = packet.GetData().mediaType
+  // Raw packets do not have packet id
+  const objId = ('pId' in packet.GetData()) ? packet.GetData().pId : `${trackType}-${groupSeq}-${objSeq}`
+  const ps = []
+  for (const target of getSendTargets(trackType, groupSeq, objSeq)) {
+    sendMessageToMain(WORKER_PREFIX, 'debug', `Sending MOQT ${target.trackAlias}/${groupSeq}/${objSeq}(${sendOrder}). Data: ${packet.GetDataStr()}`)
+    if (getDelivery(track) === 'group') {
+      ps.push(sendObjectInGroupStream(trackType, target, obj))
+    } else if (getDelivery(track) === 'datagram') {
+      ps.push(sendObjectAsDatagram(trackType, target, obj, `${objId}-${target.id}`))
+    } else {
+      ps.push(sendObject(trackType, target, obj, `${objId}-${target.id}`))
+    }
+  }
+  updateSubscriptionsProgress(trackType, groupSeq, objSeq)
 
-  moqSendObjectToWriter(uniWriter, trackId, groupSeq, objSeq, sendOrder, packet.ToBytes())
+  // The send order of every object is reported when it is sent or dropped
+  return Promise.all(ps)
+    .then(() => {
+      return { dropped: false, groupSeq, objSeq, sendOrder }
+    })
+    .catch(err => {
+      err.sendOrder = sendOrder
+      throw err
+    })
+}
 
-  moqPublisherState[trackId].currentObjectSeq++
+async function sendObject (trackType, target, obj, id) {
+  return sendQueuedObject(trackType, obj, `Object ${id}`, 'stream reset', async (queued) => {
+    // WebTransport only accepts numbers here (MOQT sendOrder can be BigInt)
+    const uniStreamPromise = moqt.session.createUnidirectionalStream({ options: { sendOrder: Number(obj.sendOrder) } })
+    // Aborted while waiting for stream credit, the stream is reset as soon as it is created
+    queued.onAbort = err => {
+      uniStreamPromise.then(uniStream => uniStream.abort(err)).catch(() => {})
+    }
+    const uniStream = await waitQueuedObject(queued, uniStreamPromise)
+    const uniWriter = uniStream.getWriter()
+    queued.onAbort = err => {
+      uniWriter.abort(err).catch(() => {})
+    }
+    try {
+      await waitQueuedObject(queued, uniWriter.ready)
+      const errStr = checkObjectSendable(trackType, obj)
+      if (errStr !== '') {
+        throw new Error(`Object ${id} ${errStr}`)
+      }
+    } catch (err) {
+      uniWriter.abort(err).catch(() => {})
+      throw err
+    }
+    // Errors are reported by close
+    moqSendObjectToWriter(uniWriter, moqt.version, target.subscribeId, target.trackAlias, obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload).catch(() => {})
 
-  // Write async here
-  const p = uniWriter.close()
-  p.id = packet.GetData().pId
+    // Resolves when the transport consumed all the data
+    return uniWriter.close()
+  })
+}
 
-  addToInflight(packet.GetData().mediaType, p)
+// Datagrams are not retransmitted, if the object does not fit in one (or draft-01) it is sent in a stream
+async function sendObjectAsDatagram (trackType, target, obj, id) {
+  if (moqt.version !== MOQ_DRAFT03_VERSION) {
+    return sendObject(trackType, target, obj, id)
+  }
+  const datagram = moqCreateObjectDatagramBytes(moqt.version, target.subscribeId, target.trackAlias, obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload)
+  const maxDatagramSize = (moqt.session.datagrams.maxDatagramSize === undefined) ? DATAGRAM_MAX_SIZE_DEFAULT : moqt.session.datagrams.maxDatagramSize
+  const errStr = checkObjectSendable(trackType, obj)
+  if (errStr !== '') {
+    throw new Error(`Object ${id} ${errStr}`)
+  }
+  if (datagram.byteLength > maxDatagramSize) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', `Object ${trackType} ${obj.groupSeq}/${obj.objSeq} does NOT fit in a datagram (${datagram.byteLength} > ${maxDatagramSize}), sending it in a stream`)
+    return sendObject(trackType, target, obj, id)
+  }
+  if (datagramWriter === null) {
+    datagramWriter = moqt.session.datagrams.writable.getWriter()
+  }
+  const writer = datagramWriter
+  return sendQueuedObject(trackType, obj, `Datagram ${id}`, 'dropped', async (queued) => {
+    // A datagram can NOT be reset once it is written, the deadline drops it only while it waits for the writer
+    await waitQueuedObject(queued, writer.ready)
+    const errStr = checkObjectSendable(trackType, obj)
+    if (errStr !== '') {
+      throw new Error(`Object ${id} ${errStr}`)
+    }
+    return writer.write(datagram)
+  })
+}
 
-  p.finally(() => {
-    removeFromInflight(packet.GetData().mediaType, packet.GetData().pId)
+// Writes the object in the stream of its group, a new group closes the previous stream
+async function sendObjectInGroupStream (trackType, target, obj) {
+  const key = getGroupStreamKey(trackType, target.id)
+  let groupStream = groupStreams[key]
+  if (groupStream === undefined || groupStream.groupSeq !== obj.groupSeq) {
+    closeGroupStream(key)
+    // Stored before awaiting, so the following objects of the group wait for this stream (keeps the order)
+    groupStream = { groupSeq: obj.groupSeq, isReset: false }
+    groupStream.writerPromise = createGroupStream(trackType, target, obj, groupStream)
+    groupStream.lastWriteStarted = groupStream.writerPromise
+    groupStreams[key] = groupStream
+  }
+  const desc = `Object ${key} ${obj.groupSeq}/${obj.objSeq}`
+  // Counted from now, waiting for the previous objects of the group, stream credit or backpressure is queued time too
+  const queued = startQueuedObject(trackType, obj, desc, 'stream reset')
+  // Only the whole stream can be reset, the rest of the group is dropped
+  queued.onAbort = err => {
+    groupStream.isReset = true
+    groupStream.writerPromise.then(uniWriter => uniWriter.abort(err)).catch(() => {})
+  }
+  // Writes wait for the stream to have room (desired size) one after the other, closing the stream waits for them too
+  const writeStarted = groupStream.lastWriteStarted.then(async () => {
+    const uniWriter = await waitQueuedObject(queued, groupStream.writerPromise)
+    if (groupStream.isReset) {
+      throw new Error(`Group stream ${key} ${obj.groupSeq} was reset, dropping object ${obj.objSeq}`)
+    }
+    await waitQueuedObject(queued, uniWriter.ready)
+    const errStr = checkObjectSendable(trackType, obj)
+    if (errStr !== '') {
+      throw new Error(`${desc} ${errStr}`)
+    }
+    return { written: moqSendGroupObjectToWriter(uniWriter, moqt.version, target.trackAlias, obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload) }
   })
+  groupStream.lastWriteStarted = writeStarted.catch(() => {})
+  try {
+    const { written } = await waitQueuedObject(queued, writeStarted)
+    return await written
+  } finally {
+    queued.done()
+  }
+}
 
+// The object is inflight (desc is its inflight id) and its bytes are queued in the track from now until send(queued) resolves (the transport consumed it)
+function sendQueuedObject (trackType, obj, desc, abortStr, send) {
+  const queued = startQueuedObject(trackType, obj, desc, abortStr)
+  const p = send(queued).finally(() => queued.done())
+  p.id = desc
+  p.groupSeq = obj.groupSeq
+  p.abort = err => queued.abort(err)
+
+  addToInflight(trackType, p)
+
+  p.finally(() => {
+    removeFromInflight(trackType, p.id)
+  }).catch(() => {})
   return p
 }
 
+// Counts the bytes queued in the track until done() is called, including the time waiting for stream credit or backpressure.
+// If it takes longer than the track objectDeadlineMs (or the object TTL expires) it is aborted: onAbort resets its stream
+// (if it has one already) instead of leaving it queued, and the waits (waitQueuedObject) fail
+function startQueuedObject (trackType, obj, desc, abortStr) {
+  const byteLength = obj.payload.byteLength
+  updateQueuedBytes(trackType, byteLength)
+  const queued = { onAbort: null, timer: null, isDone: false }
+  queued.aborted = new Promise((resolve, reject) => {
+    queued.rejectAborted = reject
+  })
+  queued.aborted.catch(() => {})
+  queued.abort = err => {
+    if (queued.isDone) {
+      return
+    }
+    queued.rejectAborted(err)
+    if (queued.onAbort !== null) {
+      queued.onAbort(err)
+    }
+  }
+  queued.done = () => {
+    if (queued.isDone) {
+      return
+    }
+    queued.isDone = true
+    clearTimeout(queued.timer)
+    updateQueuedBytes(trackType, -byteLength)
+  }
+  const timeLeft = getObjectTimeLeft(trackType, obj)
+  if (timeLeft.ms >= 0) {
+    queued.timer = setTimeout(() => {
+      queued.abort(new Error(`${desc} NOT delivered in time (${timeLeft.reason}), ${abortStr}`))
+    }, timeLeft.ms)
+  }
+  return queued
+}
+
+// Rejects if the object is aborted before p resolves
+function waitQueuedObject (queued, p) {
+  return Promise.race([p, queued.aborted])
+}
+
+// Returns the shortest of the deadline (from now) and the TTL left (cached objects do NOT have creation time), ms -1 if none
+function getObjectTimeLeft (trackType, obj) {
+  const ret = { ms: -1, reason: '' }
+  if (!(trackType in tracks)) {
+    return ret
+  }
+  const deadlineMs = getObjectDeadlineMs(tracks[trackType])
+  if (deadlineMs > 0) {
+    ret.ms = deadlineMs
+    ret.reason = `deadline ${deadlineMs}ms`
+  }
+  const ttlMs = getObjectTtlMs(tracks[trackType])
+  if (ttlMs > 0 && obj.createdClkms !== undefined) {
+    const ttlLeftMs = Math.max(0, obj.createdClkms + ttlMs - Date.now())
+    if (ret.ms < 0 || ttlLeftMs < ret.ms) {
+      ret.ms = ttlLeftMs
+      ret.reason = `TTL ${ttlMs}ms`
+    }
+  }
+  return ret
+}
+
+// Returns '' if the object can still be sent (NOT expired or its group cancelled)
+function checkObjectSendable (trackType, obj) {
+  if (!(trackType in tracks)) {
+    return 'track removed'
+  }
+  const track = tracks[trackType]
+  const ttlMs = getObjectTtlMs(track)
+  if (ttlMs > 0 && obj.createdClkms !== undefined && Date.now() - obj.createdClkms >= ttlMs) {
+    return `expired (TTL ${ttlMs}ms)`
+  }
+  const trackState = moqPublisherState[track.id]
+  if (track.cancelPreviousGroup === true && trackState !== undefined && obj.groupSeq < trackState.currentGroupSeq) {
+    return `cancelled, group ${obj.groupSeq} superseded by ${trackState.currentGroupSeq}`
+  }
+  return ''
+}
+
+// Aborts (stream reset) the inflight streams of the groups older than groupSeq, they are superseded by the new keyframe
+function cancelPreviousGroups (trackType, groupSeq) {
+  for (const p of Object.values(inFlightRequests[trackType])) {
+    if (p.groupSeq < groupSeq && p.abort !== undefined) {
+      p.abort(new Error(`${p.id} cancelled, group ${p.groupSeq} superseded by ${groupSeq}, stream reset`))
+    }
+  }
+}
+
+function updateQueuedBytes (trackType, byteLength) {
+  if (trackType in queuedBytes) {
+    queuedBytes[trackType] += byteLength
+  }
+}
+
+async function createGroupStream (trackType, target, obj, groupStream) {
+  const uniStream = await moqt.session.createUnidirectionalStream({ options: { sendOrder: Number(obj.sendOrder) } })
+  const uniWriter = uniStream.getWriter()
+
+  // Errors are reported by the object writes
+  moqSendGroupStreamHeaderToWriter(uniWriter, moqt.version, target.subscribeId, target.trackAlias, obj.groupSeq, obj.sendOrder).catch(() => {})
+
+  // The whole group stream counts as one inflight request
+  const p = uniWriter.closed
+  p.id = `group-${target.id}-${obj.groupSeq}`
+  p.groupSeq = obj.groupSeq
+  p.abort = err => {
+    groupStream.isReset = true
+    uniWriter.abort(err).catch(() => {})
+  }
+
+  addToInflight(trackType, p)
+
+  p.finally(() => {
+    removeFromInflight(trackType, p.id)
+  }).catch(() => {})
+  return uniWriter
+}
+
+function closeGroupStream (key) {
+  const groupStream = groupStreams[key]
+  if (groupStream === undefined) {
+    return
+  }
+  delete groupStreams[key]
+  groupStream.lastWriteStarted
+    .then(() => groupStream.writerPromise)
+    .then(uniWriter => {
+      if (!groupStream.isReset) {
+        return uniWriter.close()
+      }
+    })
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Closing group stream ${key}. Err: ${err.message}`)
+    })
+}
+
+function closeAllGroupStreams () {
+  for (const key of Object.keys(groupStreams)) {
+    closeGroupStream(key)
+  }
+}
+
+function getGroupStreamKey (trackType, targetId) {
+  return `${trackType}-${targetId}`
+}
+
+function getSendTargets (trackType, groupSeq, objSeq) {
+  const inRangeSubscriptions = getSubscriptionsForTrack(trackType).filter(subscription => isInSubscriptionRange(subscription, groupSeq, objSeq))
+  if (moqt.version === MOQ_DRAFT03_VERSION) {
+    // In draft-03 objects are identified by the subscription data, so we send them once per subscription
+    return inRangeSubscriptions
+  }
+  // In draft-01 the object is sent once identified by trackId
+  return (inRangeSubscriptions.length > 0) ? [getTrackTarget(trackType)] : []
+}
+
+function getTrackTarget (trackType) {
+  return { id: 'track', subscribeId: -1, trackAlias: tracks[trackType].id }
+}
+
+function updateSubscriptionsProgress (trackType, groupSeq, objSeq) {
+  for (const subscription of getSubscriptionsForTrack(trackType)) {
+    if (isInSubscriptionRange(subscription, groupSeq, objSeq)) {
+      subscription.lastGroupSeq = groupSeq
+      subscription.lastObjSeq = objSeq
+    }
+    if (isSubscriptionFinished(subscription, groupSeq, objSeq)) {
+      finishSubscription(subscription)
+    }
+  }
+}
+
 function addToInflight (mediaType, p) {
   if (p.id in inFlightRequests[mediaType]) {
     sendMessageToMain(WORKER_PREFIX, 'error', 'id already exists in inflight, this should never happen')
@@ -320,16 +1072,17 @@ async function moqCreatePublisherSession (moqt) {
   await moqSendSetup(moqt.controlWriter, MOQ_PARAMETER_ROLE_PUBLISHER)
   const setupResponse = await moqParseSetupResponse(moqt.controlReader)
   sendMessageToMain(WORKER_PREFIX, 'info', `Received SETUP response: ${JSON.stringify(setupResponse)}`)
+  moqt.version = setupResponse.version
   if (setupResponse.parameters.role !== MOQ_PARAMETER_ROLE_SUBSCRIBER && setupResponse.parameters.role !== MOQ_PARAMETER_ROLE_BOTH) {
     throw new Error(`role not supported. Supported  ${MOQ_PARAMETER_ROLE_SUBSCRIBER}, got from server ${JSON.stringify(setupResponse.parameters.role)}`)
   }
 
   // ANNOUNCE
-  const announcedNamespaces = []
+  announcedNamespaces = []
   for (const [trackType, trackData] of Object.entries(tracks)) {
     if (!announcedNamespaces.includes(trackData.namespace)) {
       await moqSendAnnounce(moqt.controlWriter, trackData.namespace, trackData.authInfo)
-      const announceResp = await moqParseAnnounceResponse(moqt.controlReader)
+      const announceResp = await moqParseAnnounceResponse(moqt.controlReader, moqt.version)
       sendMessageToMain(WORKER_PREFIX, 'info', `Received ANNOUNCE response for ${trackData.id}-${trackType}-${trackData.namespace}: ${JSON.stringify(announceResp)}`)
       if (trackData.namespace !== announceResp.namespace) {
         throw new Error(`expecting namespace ${trackData.namespace}, got ${JSON.stringify(announceResp)}`)
@@ -339,15 +1092,201 @@ async function moqCreatePublisherSession (moqt) {
   }
 }
 
+async function moqUnAnnounceAll (moqt) {
+  if (moqt.controlWriter == null) {
+    return
+  }
+  try {
+    for (const namespace of announcedNamespaces) {
+      await moqSendUnAnnounce(moqt.controlWriter, namespace)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Sent UNANNOUNCE for ${namespace}`)
+    }
+  } catch (err) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', `Sending UNANNOUNCE. Err: ${err.message}`)
+  }
+  announcedNamespaces = []
+}
+
 function checkTrackData () {
   if (Object.entries(tracks).length <= 0) {
     return 'Number of Track Ids to announce needs to be > 0'
   }
   for (const [, track] of Object.entries(tracks)) {
-    if (!('namespace' in track) || !('name' in track) || !('authInfo' in track)) {
-      return 'Track malformed, needs to contain namespace, name, and authInfo'
+    const errStr = checkTrack(track)
+    if (errStr !== '') {
+      return errStr
+    }
+  }
+  return ''
+}
+
+function checkTrack (track) {
+  if (!('namespace' in track) || !('name' in track) || !('authInfo' in track)) {
+    return 'Track malformed, needs to contain namespace, name, and authInfo'
+  }
+  if (!DELIVERY_MODES.includes(getDelivery(track))) {
+    return `Track delivery ${track.delivery} NOT supported, supported: ${JSON.stringify(DELIVERY_MODES)}`
+  }
+  if ('packaging' in track && !MEDIA_PACKAGINGS.includes(track.packaging) && track.packaging !== MOQ_CATALOG_PACKAGING_RAW) {
+    return `Track packaging ${track.packaging} NOT supported, supported: ${JSON.stringify(MEDIA_PACKAGINGS)}`
+  }
+  if ('encryption' in track && (track.encryption == null || !Number.isInteger(track.encryption.keyId) || typeof track.encryption.key !== 'string' || track.encryption.key === '')) {
+    return 'Track encryption malformed, needs to contain keyId (integer) and key'
+  }
+  if (!sendOrderCalculator.IsPolicySupported(getSendOrderPolicy(track))) {
+    return `Track send order policy ${track.sendOrderPolicy} NOT supported, supported: ${JSON.stringify(sendOrderCalculator.GetPolicies())}`
+  }
+  if (track.name === catalogTrackName) {
+    return `Track name ${track.name} is reserved for the catalog`
+  }
+  if (track.name.endsWith(MOQ_INIT_TRACK_NAME_SUFFIX)) {
+    return `Track name ${track.name} is reserved for init tracks (suffix ${MOQ_INIT_TRACK_NAME_SUFFIX})`
+  }
+  return ''
+}
+
+// Catalog
+
+function getCatalogTrackType (namespace) {
+  return `catalog-${namespace}`
+}
+
+// One per namespace, it uses the authInfo of the first track of the namespace
+function addCatalogTracks () {
+  for (const [, track] of Object.entries(tracks)) {
+    const catalogTrackType = getCatalogTrackType(track.namespace)
+    if (!(catalogTrackType in tracks)) {
+      tracks[catalogTrackType] = { id: getNextTrackId(), namespace: track.namespace, name: catalogTrackName, authInfo: track.authInfo, isHipri: true, maxCachedGroups: 1, isCatalog: true }
+    }
+  }
+}
+
+function getNextTrackId () {
+  let ret = 0
+  for (const [, track] of Object.entries(tracks)) {
+    if (track.id >= ret) {
+      ret = track.id + 1
     }
   }
+  return ret
+}
+
+// Every catalog is a new group, so the cache always holds the latest one
+function publishCatalog (namespace) {
+  const catalog = catalogCreate(namespace, tracks)
+  const packet = new RawPackager()
+  packet.SetData(getCatalogTrackType(namespace), 'key', catalogSeqId++, JSON.stringify(catalog))
+  sendMessageToMain(WORKER_PREFIX, 'info', `Publishing catalog for ${namespace}: ${packet.GetData().data}`)
+  // Never encrypted, relays and players read it
+  createSendPromise(packet, packet.ToBytes())
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Sending catalog for ${namespace}. Err: ${err.message}`)
+    })
+}
+
+// Init tracks
+
+// One per media track, it uses the namespace and authInfo of its media track
+function addInitTracks () {
+  for (const [trackType, track] of Object.entries(tracks)) {
+    addInitTrack(trackType, track)
+  }
+}
+
+function addInitTrack (trackType, track) {
+  const initTrackType = initTrackGetType(trackType)
+  if (initTrackIsNeeded(trackType, track) && !(initTrackType in tracks)) {
+    tracks[initTrackType] = { id: getNextTrackId(), namespace: track.namespace, name: initTrackGetName(track.name), authInfo: track.authInfo, isHipri: true, maxCachedGroups: 1, isInit: true }
+  }
+}
+
+// metadata: serialized decoder config (see packager/decoder_config_packager.js)
+function setDecoderConfig (trackType, metadata) {
+  const config = decoderConfigFromBytes(metadata)
+  decoderConfigs[trackType] = { configId: config.configId, decoderConfig: config.decoderConfig }
+  if (workerState === StateEnum.Running) {
+    publishDecoderConfig(trackType)
+  }
+}
+
+// Every config is a new group, so the cache always holds the current one. CMAF tracks also get the init segment
+function publishDecoderConfig (trackType) {
+  const track = tracks[trackType]
+  const { configId, decoderConfig } = decoderConfigs[trackType]
+  const packet = new DecoderConfigPackager()
+  try {
+    const cmafHeader = (track.packaging === MOQ_CATALOG_PACKAGING_CMAF) ? cmafCreateInitSegment(trackType, configId, decoderConfig) : null
+    packet.SetData(initTrackGetType(trackType), configId, decoderConfig, cmafHeader)
+  } catch (err) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Creating decoder config ${configId} for ${trackType}. Err: ${err.message}`)
+    return
+  }
+  sendMessageToMain(WORKER_PREFIX, 'info', `Publishing decoder config for ${trackType}: ${packet.GetDataStr()}`)
+  // Never encrypted, like the catalog
+  createSendPromise(packet, packet.ToBytes())
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Sending decoder config ${configId} for ${trackType}. Err: ${err.message}`)
+    })
+}
+
+// New tracks need to be in an already announced namespace
+function addTrack (trackType, track) {
+  if (trackType in tracks) {
+    return 'track already exists'
+  }
+  const errStr = checkTrack(track)
+  if (errStr !== '') {
+    return errStr
+  }
+  if (!announcedNamespaces.includes(track.namespace)) {
+    return `namespace ${track.namespace} is NOT announced`
+  }
+  if (track.id === undefined) {
+    track.id = getNextTrackId()
+  } else if (Object.values(tracks).some(t => t.id === track.id)) {
+    return `track id ${track.id} already in use`
+  }
+  tracks[trackType] = track
+  inFlightRequests[trackType] = {}
+  queuedBytes[trackType] = 0
+  addInitTrack(trackType, track)
+  const initTrackType = initTrackGetType(trackType)
+  if (initTrackType in tracks) {
+    inFlightRequests[initTrackType] = {}
+    queuedBytes[initTrackType] = 0
+  }
+  if ('encryption' in track) {
+    // Chunks received before the key is ready are dropped
+    setEncryptionKey(trackType, track.encryption.keyId, track.encryption.key)
+      .catch(err => {
+        sendMessageToMain(WORKER_PREFIX, 'error', `Setting encryption key for ${trackType}. Err: ${err.message}`)
+      })
+  }
+  sendMessageToMain(WORKER_PREFIX, 'info', `Added track ${trackType} ${track.namespace}/${track.name}`)
+  publishCatalog(track.namespace)
+  return ''
+}
+
+// The current subscribers receive SUBSCRIBE_DONE (track ended), its init track is removed too
+function removeTrack (trackType) {
+  if (!(trackType in tracks) || tracks[trackType].isCatalog === true || tracks[trackType].isInit === true) {
+    return 'track does NOT exist'
+  }
+  const track = tracks[trackType]
+  for (const removedTrackType of [trackType, initTrackGetType(trackType)]) {
+    if (!(removedTrackType in tracks)) {
+      continue
+    }
+    for (const subscription of getSubscriptionsForTrack(removedTrackType)) {
+      endSubscription(subscription, MOQ_SUBSCRIBE_DONE_TRACK_ENDED, 'track ended')
+    }
+    delete moqPublisherState[tracks[removedTrackType].id]
+    delete tracks[removedTrackType]
+  }
+  delete encryptionContexts[trackType]
+  delete decoderConfigs[trackType]
+  sendMessageToMain(WORKER_PREFIX, 'info', `Removed track ${trackType} ${track.namespace}/${track.name}`)
+  publishCatalog(track.namespace)
   return ''
 }
 
@@ -359,41 +1298,69 @@ function initInflightReqData () {
   return ret
 }
 
+function initQueuedBytesData () {
+  const ret = {}
+  for (const [trackType] of Object.entries(tracks)) {
+    ret[trackType] = 0
+  }
+  return ret
+}
+
 function moqResetState () {
   moqPublisherState = {}
+  sendOrderCalculator.Clear()
+  subscriptions = {}
+  groupStreams = {}
+  datagramWriter = null
 }
 
-function moqCalculateSendOrder (packet) {
-  // Prioritize:
-  // Audio over video
-  // New over old
-
-  let ret = packet.GetData().seqId
-  if (ret < 0) {
-    // Send now
-    ret = Number.MAX_SAFE_INTEGER
-  } else {
-    if (tracks[packet.GetData().mediaType].isHipri) {
-      ret = Math.floor(ret + Number.MAX_SAFE_INTEGER / 2)
-    }
-  }
-  return ret
+function moqCalculateSendOrder (packet, groupSeq, objSeq, byteLength) {
+  const trackType = packet.GetData().mediaType
+  const track = tracks[trackType]
+  const info = { trackType, seqId: packet.GetData().seqId, groupSeq, objSeq, isKey: packet.GetData().chunkType !== 'delta', isHipri: track.isHipri === true, weight: track.sendOrderWeight, byteLength }
+  return sendOrderCalculator.Calculate(getSendOrderPolicy(track), info)
 }
 
-function createTrackState () {
+function createTrackState (maxCachedGroups) {
   return {
     currentGroupSeq: 0,
-    currentObjectSeq: 0
+    currentObjectSeq: 0,
+    isWaitingForKeyframe: false,
+    groupCache: new GroupCache(maxCachedGroups)
   }
 }
 
-function getTrack (namespace, trackName) {
-  for (const [, trackData] of Object.entries(tracks)) {
+function getDelivery (track) {
+  return ('delivery' in track) ? track.delivery : DELIVERY_MODE_DEFAULT
+}
+
+function getMaxCachedGroups (track) {
+  return ('maxCachedGroups' in track) ? track.maxCachedGroups : MAX_CACHED_GROUPS_DEFAULT
+}
+
+function getMaxQueuedBytes (track) {
+  return ('maxQueuedBytes' in track) ? track.maxQueuedBytes : MAX_QUEUED_BYTES_DEFAULT
+}
+
+function getObjectDeadlineMs (track) {
+  return ('objectDeadlineMs' in track) ? track.objectDeadlineMs : OBJECT_DEADLINE_MS_DEFAULT
+}
+
+function getSendOrderPolicy (track) {
+  return ('sendOrderPolicy' in track) ? track.sendOrderPolicy : SEND_ORDER_POLICY_DEFAULT
+}
+
+function getObjectTtlMs (track) {
+  return ('objectTtlMs' in track) ? track.objectTtlMs : OBJECT_TTL_MS_DEFAULT
+}
+
+function getTrackType (namespace, trackName) {
+  for (const [trackType, trackData] of Object.entries(tracks)) {
     if (trackData.namespace === namespace && trackData.name === trackName) {
-      return trackData
+      return trackType
     }
   }
-  return null
+  return undefined
 }
 
 function getAllInflightRequestsArray () {
@@ -404,6 +1371,14 @@ function getAllInflightRequestsArray () {
   return ret
 }
 
+function getSubscribersReport () {
+  const ret = {}
+  for (const [trackType] of Object.entries(tracks)) {
+    ret[trackType] = getSubscriptionsForTrack(trackType).length
+  }
+  return ret
+}
+
 function getInflightRequestsReport () {
   const ret = {}
   for (const [trackType] of Object.entries(tracks)) {
@@ -411,3 +1386,19 @@ function getInflightRequestsReport () {
   }
   return ret
 }
+
+function getQueuedBytesReport () {
+  const ret = {}
+  for (const [trackType] of Object.entries(tracks)) {
+    ret[trackType] = (trackType in queuedBytes) ? queuedBytes[trackType] : 0
+  }
+  return ret
+}
+
+function getSendOrderReport () {
+  const ret = {}
+  for (const [trackType, track] of Object.entries(tracks)) {
+    ret[trackType] = { policy: getSendOrderPolicy(track) }
+  }
+  return ret
+}
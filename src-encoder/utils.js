@@ -7,11 +7,15 @@ LICENSE file in the root directory of this source tree.
 
 'use strict'
 
+import { decoderConfigToBytes } from '../packager/decoder_config_packager.js'
+import { areBytesEqual } from '../utils/buffer_utils.js'
+
 export class StateEnum {
   // Create new instances of the same class as static attributes
   static Created = new StateEnum('created')
   static Instantiated = new StateEnum('instantiated')
   static Running = new StateEnum('running')
+  static Reconnecting = new StateEnum('reconnecting')
   static Stopped = new StateEnum('stopped')
 
   constructor (name) {
@@ -26,20 +30,11 @@ export function sendMessageToMain (prefix, type, data) {
   self.postMessage({ type, data })
 }
 
-export function serializeMetadata (metadata) {
+// Binary decoder config (see packager/decoder_config_packager.js), undefined if the metadata does NOT contain it
+export function serializeMetadata (metadata, configId) {
   let ret
   if (isMetadataValid(metadata)) {
-    const newData = {}
-    // Copy all enumerable own properties
-    newData.decoderConfig = Object.assign({}, metadata.decoderConfig)
-    // Description is buffer
-    if ('description' in metadata.decoderConfig) {
-      newData.decoderConfig.descriptionInBase64 = arrayBufferToBase64(metadata.decoderConfig.description)
-      delete newData.description
-    }
-    // Encode
-    const encoder = new TextEncoder()
-    ret = encoder.encode(JSON.stringify(newData))
+    ret = decoderConfigToBytes(configId, metadata.decoderConfig)
   }
   return ret
 }
@@ -48,12 +43,16 @@ export function isMetadataValid (metadata) {
   return metadata !== undefined && 'decoderConfig' in metadata
 }
 
-function arrayBufferToBase64 (buffer) {
-  let binary = ''
-  const bytes = new Uint8Array(buffer)
-  const len = bytes.byteLength
-  for (let i = 0; i < len; i++) {
-    binary += String.fromCharCode(bytes[i])
+// Returns the decoder config in use ({ configId, metadata }), a new one (next configId) only if the config changed
+export function updateDecoderConfig (current, metadata) {
+  if (!isMetadataValid(metadata)) {
+    return current
+  }
+  // Compared without the configId
+  const bytes = serializeMetadata(metadata, 0)
+  if (current !== undefined && areBytesEqual(bytes, current.bytes)) {
+    return current
   }
-  return btoa(binary)
+  const configId = (current === undefined) ? 1 : current.configId + 1
+  return { configId, bytes, metadata: serializeMetadata(metadata, configId) }
 }
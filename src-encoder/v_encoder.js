@@ -5,7 +5,7 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
-import { sendMessageToMain, StateEnum, serializeMetadata } from './utils.js'
+import { sendMessageToMain, StateEnum, updateDecoderConfig } from './utils.js'
 
 const WORKER_PREFIX = '[VIDEO-ENC]'
 
@@ -19,6 +19,9 @@ let encoderMaxQueueSize = 5
 let keyframeEvery = 60
 let insertNextKeyframe = false
 
+// Decoder config in use, the chunks reference it by configId
+let currentDecoderConfig
+
 // Encoder
 const initVideoEncoder = {
   output: handleChunk,
@@ -34,7 +37,12 @@ const initVideoEncoder = {
 let vEncoder = null
 
 function handleChunk (chunk, metadata) {
-  const msg = { type: 'vchunk', seqId: chunkDeliveredCounter++, chunk, metadata: serializeMetadata(metadata) }
+  // The config is only sent when it changes (new configId)
+  const decoderConfig = updateDecoderConfig(currentDecoderConfig, metadata)
+  const newMetadata = (decoderConfig !== currentDecoderConfig) ? decoderConfig.metadata : undefined
+  currentDecoderConfig = decoderConfig
+
+  const msg = { type: 'vchunk', seqId: chunkDeliveredCounter++, chunk, metadata: newMetadata, configId: (decoderConfig === undefined) ? undefined : decoderConfig.configId }
 
   sendMessageToMain(WORKER_PREFIX, 'info', 'Chunk created. sId: ' + msg.seqId + ', Timestamp: ' + chunk.timestamp + ', dur: ' + chunk.duration + ', type: ' + chunk.type + ', size: ' + chunk.byteLength)
 
@@ -59,6 +67,7 @@ self.addEventListener('message', async function (e) {
 
     vEncoder.close()
     workerState = StateEnum.Stopped
+    currentDecoderConfig = undefined
     return
   }
   if (type === 'vencoderini') {
@@ -79,6 +88,11 @@ self.addEventListener('message', async function (e) {
     workerState = StateEnum.Running
     return
   }
+  if (type === 'keyframe') {
+    // Requested by the sender (ex: after reconnecting)
+    insertNextKeyframe = true
+    return
+  }
   if (type !== 'vframe') {
     sendMessageToMain(WORKER_PREFIX, 'error', 'Invalid message received')
     return
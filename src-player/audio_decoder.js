@@ -7,6 +7,7 @@ LICENSE file in the root directory of this source tree.
 
 import { sendMessageToMain, StateEnum, deSerializeMetadata } from './utils.js'
 import { TsQueue } from './ts_queue.js'
+import { areBytesEqual } from '../utils/buffer_utils.js'
 
 const WORKER_PREFIX = '[AUDIO-DECO]'
 
@@ -20,6 +21,13 @@ let audioDecoder = null
 // That means if we drop and audio packet those timestamps will be collapsed creating A/V out of sync
 let timestampOffset = 0
 let lastChunkSentTimestamp = -1
+// After a flush the next chunk is treated as a discontinuity, so the gap is compensated
+let isNextChunkDisco = false
+
+// Serialized decoder config in use, a different one (ex: codec change) reconfigures the decoder
+let currentMetadata = null
+let currentConfigId
+let configSwitches = 0
 
 const ptsQueue = new TsQueue()
 
@@ -27,6 +35,34 @@ function processAudioFrame (aFrame) {
   self.postMessage({ type: 'aframe', frame: aFrame, queueSize: ptsQueue.getPtsQueueLengthInfo().size, queueLengthMs: ptsQueue.getPtsQueueLengthInfo().lengthMs, timestampCompensationOffset: timestampOffset }, [aFrame])
 }
 
+function createAudioDecoder () {
+  // eslint-disable-next-line no-undef
+  audioDecoder = new AudioDecoder({
+    output: frame => {
+      processAudioFrame(frame)
+    },
+    error: err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', 'Audio decoder. err: ' + err.message)
+    }
+  })
+
+  audioDecoder.addEventListener('dequeue', (event) => {
+    if (audioDecoder != null) {
+      ptsQueue.removeUntil(audioDecoder.decodeQueueSize)
+    }
+  })
+}
+
+function configureAudioDecoder (metadata, configId) {
+  const config = deSerializeMetadata(metadata)
+  audioDecoder.configure(config)
+
+  currentMetadata = metadata
+  currentConfigId = configId
+
+  sendMessageToMain(WORKER_PREFIX, 'decoderstats', { clkms: Date.now(), mediaType: 'audio', configId, codec: config.codec, sampleRate: config.sampleRate, numberOfChannels: config.numberOfChannels, configSwitches })
+}
+
 self.addEventListener('message', async function (e) {
   if (workerState === StateEnum.Created) {
     workerState = StateEnum.Instantiated
@@ -50,51 +86,59 @@ self.addEventListener('message', async function (e) {
     workerState = StateEnum.Created
     timestampOffset = 0
     lastChunkSentTimestamp = -1
+    isNextChunkDisco = false
+    currentMetadata = null
+    currentConfigId = undefined
+    configSwitches = 0
+  } else if (type === 'flush') {
+    // New subscription (ex: after reconnecting)
+    isNextChunkDisco = true
+    sendMessageToMain(WORKER_PREFIX, 'info', 'Flushed')
   } else if (type === 'audiochunk') {
+    const metadataSize = (e.data.metadata !== undefined && e.data.metadata != null) ? e.data.metadata.byteLength : '-'
+    sendMessageToMain(WORKER_PREFIX, 'debug', `audio-${e.data.seqId} Received chunk, chunkSize: ${e.data.chunk.byteLength}, metadataSize: ${metadataSize}, configId: ${e.data.configId}`)
     if (e.data.metadata !== undefined && e.data.metadata != null) {
-      sendMessageToMain(WORKER_PREFIX, 'debug', `audio-${e.data.seqId} Received chunk, chunkSize: ${e.data.chunk.byteLength}, metadataSize: ${e.data.metadata.byteLength}`)
-      if (audioDecoder != null) {
-        sendMessageToMain(WORKER_PREFIX, 'debug', `audio-${e.data.seqId} Received init, but AudioDecoder already initialized`)
-      } else {
-        // Initialize audio decoder
-        // eslint-disable-next-line no-undef
-        audioDecoder = new AudioDecoder({
-          output: frame => {
-            processAudioFrame(frame)
-          },
-          error: err => {
-            sendMessageToMain(WORKER_PREFIX, 'error', 'Audio decoder. err: ' + err.message)
-          }
-        })
-
-        audioDecoder.addEventListener('dequeue', (event) => {
-          if (audioDecoder != null) {
-            ptsQueue.removeUntil(audioDecoder.decodeQueueSize)
-          }
-        })
-
-        const config = deSerializeMetadata(e.data.metadata)
-        audioDecoder.configure(config)
+      if (audioDecoder == null) {
+        createAudioDecoder()
+        configureAudioDecoder(e.data.metadata, e.data.configId)
 
         workerState = StateEnum.Running
 
-        sendMessageToMain(WORKER_PREFIX, 'info', 'Initialized and configured')
+        sendMessageToMain(WORKER_PREFIX, 'info', `Initialized and configured (configId: ${e.data.configId})`)
+      } else if (!areBytesEqual(e.data.metadata, currentMetadata)) {
+        // Codec change. Control messages are queued in order, so the samples of the previous config are still output
+        audioDecoder.flush()
+          .catch(err => {
+            sendMessageToMain(WORKER_PREFIX, 'warning', `Flushing before reconfiguring. Err: ${err.message}`)
+          })
+        const previousConfigId = currentConfigId
+        configSwitches++
+        configureAudioDecoder(e.data.metadata, e.data.configId)
+
+        sendMessageToMain(WORKER_PREFIX, 'info', `audio-${e.data.seqId} Reconfigured, configId: ${previousConfigId} -> ${e.data.configId}`)
       }
-    } else {
-      sendMessageToMain(WORKER_PREFIX, 'debug', `audio-${e.data.seqId} Received chunk, chunkSize: ${e.data.chunk.byteLength}, metadataSize: -`)
     }
 
     if (workerState !== StateEnum.Running) {
       sendMessageToMain(WORKER_PREFIX, 'warning', 'Received audio chunk, but NOT running state')
       return
     }
+
+    // Its config did NOT arrive, the gap is compensated as a discontinuity
+    if (e.data.configId !== undefined && currentConfigId !== undefined && e.data.configId !== currentConfigId) {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `audio-${e.data.seqId} Discarded chunk of configId ${e.data.configId}, decoder configId: ${currentConfigId}`)
+      isNextChunkDisco = true
+      return
+    }
+
     ptsQueue.addToPtsQueue(e.data.chunk.timestamp, e.data.chunk.duration)
 
-    if (e.data.isDisco && lastChunkSentTimestamp >= 0) {
+    if ((e.data.isDisco || isNextChunkDisco) && lastChunkSentTimestamp >= 0) {
       const addTs = e.data.chunk.timestamp - lastChunkSentTimestamp
       sendMessageToMain(WORKER_PREFIX, 'warning', `disco at seqId: ${e.data.seqId}, ts: ${e.data.chunk.timestamp}, added: ${addTs}`)
       timestampOffset += addTs
     }
+    isNextChunkDisco = false
     lastChunkSentTimestamp = e.data.chunk.timestamp + e.data.chunk.duration
 
     audioDecoder.decode(e.data.chunk)
@@ -19,14 +19,16 @@ export class JitterBuffer {
     this.totalLengthMs = 0
     this.numTotalGaps = 0
     this.numTotalLostStreams = 0
+    this.numTotalLostDatagrams = 0
     this.lastCorrectSeqId = undefined
   }
 
-  AddItem (chunk, seqId, extraData) {
+  // delivery (optional): 'stream' or 'datagram', used to report the losses (approximate)
+  AddItem (chunk, seqId, extraData, delivery) {
     let r
     // Order by SeqID
     if (this.elementsList.length <= 0) {
-      this.elementsList.push({ chunk, seqId, extraData })
+      this.elementsList.push({ chunk, seqId, extraData, delivery })
       this.totalLengthMs += chunk.duration / 1000
     } else {
       // Anything later than 1st element will be dropped
@@ -40,13 +42,13 @@ export class JitterBuffer {
         let exit = false
         while ((n < this.elementsList.length) && (!exit)) {
           if (seqId < this.elementsList[n].seqId) {
-            this.elementsList.splice(n, 0, { chunk, seqId, extraData })
+            this.elementsList.splice(n, 0, { chunk, seqId, extraData, delivery })
             exit = true
           }
           n++
         }
         if (exit === false) {
-          this.elementsList.push({ chunk, seqId, extraData })
+          this.elementsList.push({ chunk, seqId, extraData, delivery })
         }
         this.totalLengthMs += chunk.duration / 1000
       }
@@ -64,7 +66,14 @@ export class JitterBuffer {
           if (this.lastCorrectSeqId + 1 !== r.seqId) {
             r.isDisco = true
             this.numTotalGaps++
-            this.numTotalLostStreams += (r.seqId - this.lastCorrectSeqId)
+            // Approximate: the lost items are counted in the delivery of the next one (a track can mix both, ex: big objects do NOT fit in a datagram)
+            if (r.seqId > this.lastCorrectSeqId) {
+              if (r.delivery === 'datagram') {
+                this.numTotalLostDatagrams += (r.seqId - this.lastCorrectSeqId - 1)
+              } else {
+                this.numTotalLostStreams += (r.seqId - this.lastCorrectSeqId - 1)
+              }
+            }
 
             // Check for repeated and backwards seqID
             if (r.seqId <= this.lastCorrectSeqId) {
@@ -85,7 +94,7 @@ export class JitterBuffer {
   }
 
   GetStats () {
-    return { numTotalGaps: this.numTotalGaps, numTotalLostStreams: this.numTotalLostStreams, totalLengthMs: this.totalLengthMs, size: this.elementsList.length, currentMaSizeMs: this.bufferSizeMs }
+    return { numTotalGaps: this.numTotalGaps, numTotalLostStreams: this.numTotalLostStreams, numTotalLostDatagrams: this.numTotalLostDatagrams, totalLengthMs: this.totalLengthMs, size: this.elementsList.length, currentMaSizeMs: this.bufferSizeMs }
   }
 
   Clear () {
@@ -93,7 +102,8 @@ export class JitterBuffer {
     this.totalLengthMs = 0
     this.numTotalGaps = 0
     this.numTotalLostStreams = 0
-    this.lastSeqIdDelivered = undefined
+    this.numTotalLostDatagrams = 0
+    this.lastCorrectSeqId = undefined
   }
 
   UpdateMaxSize(bufferSizeMs) {
@@ -6,14 +6,27 @@ LICENSE file in the root directory of this source tree.
 */
 
 import { sendMessageToMain, StateEnum } from './utils.js'
-import { moqCreate, moqClose, moqCreateControlStream, moqSendSetup, moqParseSetupResponse, MOQ_PARAMETER_ROLE_PUBLISHER, MOQ_PARAMETER_ROLE_SUBSCRIBER, MOQ_PARAMETER_ROLE_BOTH, moqParseObjectHeader, moqSendSubscribe, moqParseSubscribeResponse } from '../utils/moqt.js'
-import { LocPackager } from '../packager/loc_packager.js'
+import { moqCreate, moqClose, moqCreateControlStream, moqSendSetup, moqParseSetupResponse, MOQ_PARAMETER_ROLE_PUBLISHER, MOQ_PARAMETER_ROLE_SUBSCRIBER, MOQ_PARAMETER_ROLE_BOTH, moqParseObjectHeader, moqParseNextObjectHeader, moqSendSubscribe, moqParseSubscribeResponse, MOQ_DRAFT03_VERSION, moqParseControlMessage, moqSendUnSubscribe, moqGetSubscriptionStr, MOQ_MESSAGE_SUBSCRIBE_OK, MOQ_MESSAGE_SUBSCRIBE_DONE, MOQ_MESSAGE_SUBSCRIBE_ERROR, MOQ_MESSAGE_ANNOUNCE, MOQ_MESSAGE_UNANNOUNCE, MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, moqSendSubscribeNamespace, moqParseSubscribeNamespaceResponse, moqSendUnSubscribeNamespace, moqIsSubscribeNamespaceSupported, moqSendAnnounceOk, moqIsNamespaceInPrefix, moqToJSONString } from '../utils/moqt.js'
+import { createMediaPackager } from '../packager/media_packager.js'
 import { RawPackager } from '../packager/raw_packager.js'
+import { decoderConfigFromBytes } from '../packager/decoder_config_packager.js'
+import { BufferedReader } from '../utils/buffered_reader.js'
+import { createTransportSession, createTransportOptions } from '../utils/transport.js'
+import { catalogParse, catalogSelectTracks } from '../utils/catalog.js'
+import { initTrackIsNeeded, initTrackGetType, initTrackGetName } from '../utils/init_track.js'
+import { SFrameContext } from '../utils/sframe.js'
 
 const WORKER_PREFIX = '[MOQ-DOWNLOADER]'
 
 const QUIC_EXPIRATION_TIMEOUT_DEF_MS = 10000
 
+// Media objects received before their decoder config wait for it (per track), the oldest ones are dropped
+const MAX_OBJECTS_WAITING_CONFIG = 120
+// Decoder configs kept per track, objects in flight can still reference the previous ones
+const MAX_DECODER_CONFIGS = 4
+// draft-01: max time an object with unknown trackId waits for the SUBSCRIBE_OK that maps it
+const MAX_WAIT_TRACK_ID_MS = 5000
+
 let workerState = StateEnum.Created
 
 let urlHostPortEp = ''
@@ -29,10 +42,50 @@ let tracks = {}
     "video": {
         id: 1,
         isHipri: false,
-        authInfo: "secret"
+        authInfo: "secret",
+        subscribeLocations: { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } }, // Optional, by default from next group
+        packaging: "loc", // Optional, "loc" (default), "loc-ext" or "cmaf", it comes from the catalog if it is used
+        encryption: { keyId: 1, key: "secret-1" } // Optional, end to end encryption (see utils/sframe.js), same key than the publisher
     }
 } */
 
+// End to end decryption contexts (tracks with encryption), objects that can NOT be decrypted are dropped
+let decryptionContexts = {}
+
+// Every media track is subscribed with its init track (see utils/init_track.js), the decoder configs are fetched once from it
+// and the media objects reference them by configId. Per media track: { configs: Map(configId -> serialized config), waiting: [] }
+let decoderConfigs = {}
+
+// If the catalog is configured ({ namespace, name, authInfo }) it is the only track subscribed at start,
+// moqTracks are then the media types wanted (plus their options), and the track names come from the catalog
+let trackTemplates = {}
+let lastCatalogGroupSeq = -1
+// Catalog updates are applied in order
+let catalogProcessing = Promise.resolve()
+
+let nextSubscribeId = 0
+
+// draft-01: the trackId of the subscriptions sent from the catalog is known at SUBSCRIBE_OK, but the publisher sends
+// the cached objects right after it (other streams), so they can be parsed first. They wait here ({ trackId, resolve })
+let objectsWaitingTrackId = []
+
+// If namespace discovery is configured ({ namespacePrefix, authInfo }) it sends SUBSCRIBE_NAMESPACE,
+// the announced namespaces under that prefix are reported to the page (tracks can be empty to only discover)
+let namespaceDiscovery = null
+let discoveredNamespaces = []
+
+// When the transport session is lost it reconnects (exponential backoff) and subscribes again to every track
+// Example
+/* reconnect: {
+    isEnabled: true,
+    initialDelayMs: 500,
+    maxDelayMs: 10000,
+    maxAttempts: 0 // 0: forever
+} */
+const RECONNECT_DEFAULT = { isEnabled: true, initialDelayMs: 500, maxDelayMs: 10000, maxAttempts: 0 }
+let reconnectConfig = RECONNECT_DEFAULT
+let transportOptions = {}
+
 // MOQT data
 const moqt = moqCreate()
 
@@ -42,6 +95,11 @@ function reportStats () {
   }
 }
 
+// Reports MOQT session problems to the page
+function reportStatus (status, msg) {
+  sendMessageToMain(WORKER_PREFIX, 'moqstatus', { clkms: Date.now(), status, msg })
+}
+
 // Main listener
 self.addEventListener('message', async function (e) {
   if ((workerState === StateEnum.Created) || (workerState === StateEnum.Stopped)) {
@@ -59,11 +117,20 @@ self.addEventListener('message', async function (e) {
 
     // Abort and wait for all inflight requests
     try {
+      await moqUnSubscribeAll(moqt)
       await moqClose(moqt)
     } catch (err) {
       // Expected to finish some promises with abort error
       // The abort "errors" are already sent to main "thead" by sendMessageToMain inside the promise
     }
+  } else if (type === 'encryptionkey') {
+    // Key rotation: { trackType, keyId, key }, added before the publisher starts using it (previous keys are kept)
+    try {
+      await addDecryptionKey(e.data.trackType, e.data.keyId, e.data.key)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Added decryption key ID ${e.data.keyId} for track ${e.data.trackType}`)
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'error', `${type} ${e.data.trackType}: ${err.message}`)
+    }
   } else if (type === 'downloadersendini') {
     if (workerState !== StateEnum.Instantiated) {
       sendMessageToMain(WORKER_PREFIX, 'error', 'received ini message in wrong state. State: ' + workerState)
@@ -83,83 +150,236 @@ self.addEventListener('message', async function (e) {
     if ('moqTracks' in e.data.downloaderConfig) {
       tracks = e.data.downloaderConfig.moqTracks
     }
+    trackTemplates = {}
+    lastCatalogGroupSeq = -1
+    namespaceDiscovery = null
+    discoveredNamespaces = []
+    if ('namespaceDiscovery' in e.data.downloaderConfig) {
+      namespaceDiscovery = e.data.downloaderConfig.namespaceDiscovery
+    }
+    reconnectConfig = RECONNECT_DEFAULT
+    if ('reconnect' in e.data.downloaderConfig) {
+      reconnectConfig = Object.assign({}, RECONNECT_DEFAULT, e.data.downloaderConfig.reconnect)
+    }
+    if ('catalog' in e.data.downloaderConfig) {
+      trackTemplates = tracks
+      // The catalog is always in the cache (last group)
+      tracks = { catalog: Object.assign({}, e.data.downloaderConfig.catalog, { isCatalog: true, subscribeLocations: { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } } }) }
+    }
 
     const errTrackStr = checkTrackData()
     if (errTrackStr !== '') {
       sendMessageToMain(WORKER_PREFIX, 'error', errTrackStr)
       return
     }
+    decoderConfigs = {}
+    // With the catalog they are added from it (initTrack)
+    addInitTracks()
 
     try {
-      await moqClose(moqt)
+      decryptionContexts = {}
+      const configuredTracks = ('catalog' in e.data.downloaderConfig) ? trackTemplates : tracks
+      for (const [trackType, track] of Object.entries(configuredTracks)) {
+        if ('encryption' in track) {
+          await addDecryptionKey(trackType, track.encryption.keyId, track.encryption.key)
+        }
+      }
 
-      // WT needs https to establish connection
-      const url = new URL(urlHostPortEp)
-      // Replace protocol
-      url.protocol = 'https'
-
-      // Chrome needs a fingerprint of the certificate
-      const options = {
-        serverCertificateHashes: [
-            {
-                algorithm: "sha-256",
-                value: new Uint8Array(JSON.parse(await (await this.fetch("/fingerprint.txt", { method: "GET" })).text()))
-            }
-        ]
-    }
-
-      // Ini WT
-      // eslint-disable-next-line no-undef
-      // try {
-
-      // }
-      moqt.wt = new WebTransport(url.href, options)
-      moqt.wt.closed
-        .then(() => {
-          sendMessageToMain(WORKER_PREFIX, 'info', 'WT closed transport session')
-        })
-        .catch(error => {
-          sendMessageToMain(WORKER_PREFIX, 'error', 'WT error, closed transport. Err: ' + error)
-        })
-
-      await moqt.wt.ready
-      await moqCreateControlStream(moqt)
-      await moqCreateSubscriberSession(moqt)
+      // It can be a previous lost session
+      await moqCloseLostSession()
 
-      sendMessageToMain(WORKER_PREFIX, 'info', 'MOQ Initialized')
-      workerState = StateEnum.Running
+      // Certificate trust (tlsTrust), by default the fingerprint served by the page origin
+      transportOptions = await createTransportOptions(urlHostPortEp, e.data.downloaderConfig.tlsTrust)
+
+      await moqConnect()
 
-      // Assuming QUIC stream per object
-      moqReceiveObjects(moqt, QUIC_EXPIRATION_TIMEOUT_DEF_MS)
+      sendMessageToMain(WORKER_PREFIX, 'info', 'MOQ Initialized')
+      reportStatus('subscribed', `Subscribed to ${Object.keys(tracks).length} tracks`)
+      moqStartReceiving()
     } catch (err) {
       sendMessageToMain(WORKER_PREFIX, 'error', `Initializing MOQ. Err: ${err}`)
+      reportStatus('error', `Initializing MOQ. Err: ${err.message}`)
     }
   }
 })
 
+async function addDecryptionKey (trackType, keyId, key) {
+  if (!(trackType in decryptionContexts)) {
+    decryptionContexts[trackType] = new SFrameContext(trackType)
+  }
+  await decryptionContexts[trackType].AddKey(keyId, key)
+}
+
+// Connection
+
+// Ini WT (or loopback session), SETUP and SUBSCRIBE to every track
+async function moqConnect () {
+  const session = createTransportSession(urlHostPortEp, transportOptions)
+  moqt.session = session
+  session.closed
+    .then(() => {
+      sendMessageToMain(WORKER_PREFIX, 'info', 'WT closed transport session')
+      onTransportSessionLost(session, 'transport session closed')
+    })
+    .catch(error => {
+      sendMessageToMain(WORKER_PREFIX, 'error', 'WT error, closed transport. Err: ' + error)
+      reportStatus('error', `Transport closed with error. Err: ${error}`)
+      onTransportSessionLost(session, `transport session error. Err: ${error}`)
+    })
+
+  await session.ready
+  await moqCreateControlStream(moqt)
+  await moqCreateSubscriberSession(moqt)
+}
+
+function moqStartReceiving () {
+  workerState = StateEnum.Running
+
+  startLoopControlLoop(moqt.controlReader)
+    .then(_ => {
+      sendMessageToMain(WORKER_PREFIX, 'info', 'Exited receiving control messages loop')
+    })
+    .catch(err => {
+      if (workerState === StateEnum.Running) {
+        sendMessageToMain(WORKER_PREFIX, 'error', `Error in the control messages loop. Err: ${err.message}`)
+        reportStatus('error', `Control stream error. Err: ${err.message}`)
+      }
+    })
+
+  // Objects can arrive in streams (per object or per group) and datagrams
+  const session = moqt.session
+  moqReceiveObjects(moqt, QUIC_EXPIRATION_TIMEOUT_DEF_MS)
+    .catch(err => {
+      onTransportSessionLost(session, `receiving streams. Err: ${err.message}`)
+    })
+  moqReceiveDatagrams(moqt)
+    .catch(err => {
+      if (workerState === StateEnum.Running) {
+        sendMessageToMain(WORKER_PREFIX, 'error', `Error receiving datagrams. Err: ${err.message}`)
+      }
+    })
+}
+
+function onTransportSessionLost (session, reason) {
+  // Already closed by us (stop) or replaced by a new one
+  if (session !== moqt.session || workerState !== StateEnum.Running) {
+    return
+  }
+  if (!reconnectConfig.isEnabled) {
+    // It accepts a new ini
+    workerState = StateEnum.Instantiated
+    reportStatus('error', `Transport session lost (${reason}), NOT reconnecting`)
+    return
+  }
+  workerState = StateEnum.Reconnecting
+  sendMessageToMain(WORKER_PREFIX, 'warning', `Transport session lost (${reason}), reconnecting`)
+  moqReconnect()
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Reconnecting. Err: ${err.message}`)
+    })
+}
+
+async function moqReconnect () {
+  let delayMs = reconnectConfig.initialDelayMs
+  for (let attempt = 1; workerState === StateEnum.Reconnecting; attempt++) {
+    if (reconnectConfig.maxAttempts > 0 && attempt > reconnectConfig.maxAttempts) {
+      workerState = StateEnum.Instantiated
+      reportStatus('error', `Giving up reconnecting after ${reconnectConfig.maxAttempts} attempts`)
+      return
+    }
+    reportStatus('reconnecting', `Attempt ${attempt} in ${delayMs}ms`)
+    await new Promise(resolve => setTimeout(resolve, delayMs))
+    if (workerState !== StateEnum.Reconnecting) {
+      return
+    }
+    try {
+      await moqCloseLostSession()
+      resetTracksForResubscribe()
+      await moqConnect()
+      if (workerState !== StateEnum.Reconnecting) {
+        // Stopped while connecting
+        await moqCloseLostSession()
+        return
+      }
+      sendMessageToMain(WORKER_PREFIX, 'info', `Reconnected after ${attempt} attempts`)
+      reportStatus('subscribed', `Reconnected, subscribed to ${Object.keys(tracks).length} tracks`)
+      // Objects of the new subscriptions start at a keyframe, the page flushes the jitter buffers and decoders
+      sendMessageToMain(WORKER_PREFIX, 'reconnected', { clkms: Date.now(), attempt })
+      moqStartReceiving()
+      return
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Reconnection attempt ${attempt} failed. Err: ${err.message}`)
+      delayMs = Math.min(delayMs * 2, reconnectConfig.maxDelayMs)
+    }
+  }
+}
+
+// The streams of a lost session can NOT be closed cleanly
+async function moqCloseLostSession () {
+  try {
+    await moqClose(moqt)
+  } catch (err) {
+    sendMessageToMain(WORKER_PREFIX, 'debug', `Closing lost transport session. Err: ${err.message}`)
+  }
+}
+
+// The publisher can be a new one (new catalog groups and configIds), and the ids are assigned again when subscribing
+function resetTracksForResubscribe () {
+  lastCatalogGroupSeq = -1
+  // A new publisher starts the configIds again, the current configs are published again in the init tracks
+  decoderConfigs = {}
+  for (const [, trackData] of Object.entries(tracks)) {
+    delete trackData.isDone
+    delete trackData.subscribeId
+  }
+}
+
 async function moqReceiveObjects (moqt) {
   if (workerState === StateEnum.Stopped) {
     return
   }
-  if (moqt.wt === null) {
-    sendMessageToMain(WORKER_PREFIX, 'error', 'we can not start downloading data because WT is not initialized')
+  if (moqt.session === null) {
+    sendMessageToMain(WORKER_PREFIX, 'error', 'we can not start downloading data because transport session is not initialized')
     return
   }
 
   // Get stream
-  const incomingStream = moqt.wt.incomingUnidirectionalStreams
+  const session = moqt.session
+  const incomingStream = session.incomingUnidirectionalStreams
   const readableStream = incomingStream.getReader()
 
   while (workerState !== StateEnum.Stopped) {
     const stream = await readableStream.read()
     reportStats()
-    try {
-      if (!stream.done) {
-        await moqReceiveProcessObjects(stream.value)
+    if (stream.done) {
+      if (workerState === StateEnum.Running && session === moqt.session) {
+        reportStatus('error', 'No more incoming streams, transport session closed')
+        onTransportSessionLost(session, 'no more incoming streams')
       }
+      break
+    }
+    // Not awaited, a group stream stays open for the whole group and it can not block the other streams
+    moqReceiveProcessStream(new BufferedReader(stream.value), 'stream')
+      .catch(err => {
+        sendMessageToMain(WORKER_PREFIX, 'dropped stream', { clkms: Date.now(), seqId: -1, msg: 'Dropped stream because WT error' })
+        sendMessageToMain(WORKER_PREFIX, 'error', `WT request. Err: ${JSON.stringify(err)}`)
+      })
+  }
+}
+
+async function moqReceiveDatagrams (moqt) {
+  const datagramReader = moqt.session.datagrams.readable.getReader()
+
+  while (workerState !== StateEnum.Stopped) {
+    const datagram = await datagramReader.read()
+    if (datagram.done) {
+      break
+    }
+    try {
+      await moqReceiveProcessStream(new BufferedReader(datagram.value), 'datagram')
     } catch (err) {
-      sendMessageToMain(WORKER_PREFIX, 'dropped stream', { clkms: Date.now(), seqId: -1, msg: 'Dropped stream because WT error' })
-      sendMessageToMain(WORKER_PREFIX, 'error', `WT request. Err: ${JSON.stringify(err)}`)
+      sendMessageToMain(WORKER_PREFIX, 'dropped stream', { clkms: Date.now(), seqId: -1, msg: 'Dropped datagram because parsing error' })
+      sendMessageToMain(WORKER_PREFIX, 'error', `Datagram. Err: ${err.message}`)
     }
   }
 }
@@ -175,20 +395,88 @@ function getTrackTypeFromTrackId (trackId) {
   return ret
 }
 
-async function moqReceiveProcessObjects (readerStream) {
-  const startTime = Date.now()
+// draft-01 subscriptions sent without waiting for SUBSCRIBE_OK (from the catalog)
+function isAnyTrackIdPending () {
+  return moqt.version !== MOQ_DRAFT03_VERSION && Object.values(tracks).some(trackData => trackData.id === undefined && 'subscribeId' in trackData)
+}
 
-  const moqObj = await moqParseObjectHeader(readerStream)
+// Resolves the trackType, or undefined if it is NOT mapped in time
+function waitForTrackId (trackId) {
+  return new Promise(resolve => {
+    const item = { trackId, resolve }
+    item.timer = setTimeout(() => {
+      objectsWaitingTrackId = objectsWaitingTrackId.filter(waiting => waiting !== item)
+      resolve(undefined)
+    }, MAX_WAIT_TRACK_ID_MS)
+    objectsWaitingTrackId.push(item)
+  })
+}
+
+function releaseObjectsWaitingTrackId (trackType) {
+  const trackId = tracks[trackType].id
+  for (const item of objectsWaitingTrackId.filter(waiting => waiting.trackId === trackId)) {
+    clearTimeout(item.timer)
+    item.resolve(trackType)
+  }
+  objectsWaitingTrackId = objectsWaitingTrackId.filter(waiting => waiting.trackId !== trackId)
+}
+
+// delivery: 'stream' or 'datagram' (reported with the chunk)
+async function moqReceiveProcessStream (reader, delivery) {
+  let startTime = Date.now()
+  let moqObj = await moqParseObjectHeader(reader, moqt.version)
+  while (moqObj !== undefined) {
+    if (moqObj.payloadLength === undefined) {
+      // Stream per object, payload until the end of the stream
+      await moqReceiveProcessObject(moqObj, reader, startTime, delivery)
+      break
+    }
+    // Stream per group, length prefixed objects
+    await reader.Fill(moqObj.payloadLength)
+    await moqReceiveProcessObject(moqObj, new BufferedReader(reader.ReadBytes(moqObj.payloadLength)), startTime, delivery)
+
+    // Waits for the next object (it can take a frame duration)
+    moqObj = await moqParseNextObjectHeader(reader, moqt.version, moqObj)
+    startTime = Date.now()
+  }
+}
+
+async function moqReceiveProcessObject (moqObj, reader, startTime, delivery) {
   sendMessageToMain(WORKER_PREFIX, 'debug', `Received MOQT obj: ${moqObj.trackId}/${moqObj.groupSeq}/${moqObj.objSeq}(${moqObj.sendOrder})`)
 
-  const trackType = getTrackTypeFromTrackId(moqObj.trackId)
+  let trackType = getTrackTypeFromTrackId(moqObj.trackId)
+  if (trackType === undefined && isAnyTrackIdPending()) {
+    trackType = await waitForTrackId(moqObj.trackId)
+  }
   if (trackType === undefined) {
     throw new Error(`Unexpected trackId received ${moqObj.trackId}. Expecting ${JSON.stringify(tracks)}`)
   }
 
-  if (trackType !== 'data') {
-    const packet = new LocPackager()
-    await packet.ReadBytes(readerStream)
+  if (trackType in decryptionContexts && tracks[trackType].isCatalog !== true) {
+    try {
+      const decrypted = await decryptionContexts[trackType].Decrypt(await reader.ReadUntilEof())
+      reader = new BufferedReader(decrypted.data)
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId: -1, mediaType: trackType, msg: `Dropped object ${moqObj.groupSeq}/${moqObj.objSeq} because ${err.message}` })
+      return
+    }
+  }
+
+  if (tracks[trackType].isCatalog === true) {
+    const packet = new RawPackager()
+    await packet.ReadBytes(reader)
+    const groupSeq = moqObj.groupSeq
+    catalogProcessing = catalogProcessing
+      .then(() => processCatalog(packet.GetData().data, groupSeq))
+      .catch(err => {
+        sendMessageToMain(WORKER_PREFIX, 'error', `Processing catalog. Err: ${err.message}`)
+        reportStatus('error', `Processing catalog. Err: ${err.message}`)
+      })
+  } else if (tracks[trackType].isInit === true) {
+    processDecoderConfig(tracks[trackType].mediaTrackType, await reader.ReadUntilEof())
+  } else if (trackType !== 'data') {
+    const packet = createMediaPackager(tracks[trackType].packaging, trackType)
+    await packet.ReadBytes(reader)
 
     const chunkData = packet.GetData()
     if ((chunkData.chunkType === undefined) || (chunkData.mediaType === undefined)) {
@@ -196,41 +484,160 @@ async function moqReceiveProcessObjects (readerStream) {
     }
     sendMessageToMain(WORKER_PREFIX, 'debug', `Decoded MOQT-LOC: ${packet.GetDataStr()})`)
 
-    let chunk
-    if (chunkData.mediaType === 'audio') {
-      // eslint-disable-next-line no-undef
-      chunk = new EncodedAudioChunk({
-        timestamp: chunkData.timestamp,
-        type: chunkData.chunkType,
-        data: chunkData.data,
-        duration: chunkData.duration
-      })
-    } else if (chunkData.mediaType === 'video') {
-      // eslint-disable-next-line no-undef
-      chunk = new EncodedVideoChunk({
-        timestamp: chunkData.timestamp,
-        type: chunkData.chunkType,
-        data: chunkData.data,
-        duration: chunkData.duration
-      })
-    }
-    self.postMessage({ type: chunkData.mediaType + 'chunk', clkms: Date.now(), captureClkms: chunkData.firstFrameClkms, seqId: chunkData.seqId, chunk, metadata: chunkData.metadata })
-
-    const reqLatencyMs = Date.now() - startTime
-    if (reqLatencyMs > (chunkData.duration / 1000)) {
-      sendMessageToMain(WORKER_PREFIX, 'warning', 'response: 200, Latency(ms): ' + reqLatencyMs + ', Frame dur(ms): ' + chunkData.duration / 1000 + '. mediaType: ' + chunkData.mediaType + ', seqId: ' + chunkData.seqId + ', ts: ' + chunkData.timestamp)
-    } else {
-      sendMessageToMain(WORKER_PREFIX, 'debug', 'response: 200, Latency(ms): ' + reqLatencyMs + ', Frame dur(ms): ' + chunkData.duration / 1000 + '. mediaType: ' + chunkData.mediaType + ', seqId:' + chunkData.seqId + ', ts: ' + chunkData.timestamp)
+    if (chunkData.configId !== undefined && !getDecoderConfigs(trackType).configs.has(chunkData.configId)) {
+      waitForDecoderConfig(trackType, { chunkData, startTime, delivery })
+      return
     }
+    postMediaChunk(trackType, chunkData, startTime, delivery)
   } else {
     const packet = new RawPackager()
-    await packet.ReadBytes(readerStream)
+    await packet.ReadBytes(reader)
     sendMessageToMain(WORKER_PREFIX, 'debug', `Decoded MOQT-RAW: ${packet.GetDataStr()})`)
 
     self.postMessage({ type: 'data', chunk: packet.GetData().data })
   }
 }
 
+// The key chunks carry the serialized decoder config of their configId (metadata), so the decoders can be configured from any of them
+function postMediaChunk (trackType, chunkData, startTime, delivery) {
+  let chunk
+  if (chunkData.mediaType === 'audio') {
+    // eslint-disable-next-line no-undef
+    chunk = new EncodedAudioChunk({
+      timestamp: chunkData.timestamp,
+      type: chunkData.chunkType,
+      data: chunkData.data,
+      duration: chunkData.duration
+    })
+  } else if (chunkData.mediaType === 'video') {
+    // eslint-disable-next-line no-undef
+    chunk = new EncodedVideoChunk({
+      timestamp: chunkData.timestamp,
+      type: chunkData.chunkType,
+      data: chunkData.data,
+      duration: chunkData.duration
+    })
+  }
+  const metadata = (chunkData.chunkType === 'key' && chunkData.configId !== undefined) ? getDecoderConfigs(trackType).configs.get(chunkData.configId) : undefined
+  self.postMessage({ type: chunkData.mediaType + 'chunk', clkms: Date.now(), captureClkms: chunkData.firstFrameClkms, seqId: chunkData.seqId, chunk, metadata, configId: chunkData.configId, delivery })
+
+  const reqLatencyMs = Date.now() - startTime
+  if (reqLatencyMs > (chunkData.duration / 1000)) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', 'response: 200, Latency(ms): ' + reqLatencyMs + ', Frame dur(ms): ' + chunkData.duration / 1000 + '. mediaType: ' + chunkData.mediaType + ', seqId: ' + chunkData.seqId + ', ts: ' + chunkData.timestamp)
+  } else {
+    sendMessageToMain(WORKER_PREFIX, 'debug', 'response: 200, Latency(ms): ' + reqLatencyMs + ', Frame dur(ms): ' + chunkData.duration / 1000 + '. mediaType: ' + chunkData.mediaType + ', seqId:' + chunkData.seqId + ', ts: ' + chunkData.timestamp)
+  }
+}
+
+// Decoder configs
+
+function getDecoderConfigs (trackType) {
+  if (!(trackType in decoderConfigs)) {
+    decoderConfigs[trackType] = { configs: new Map(), waiting: [] }
+  }
+  return decoderConfigs[trackType]
+}
+
+// bytes: serialized decoder config (see packager/decoder_config_packager.js), it releases the objects waiting for it
+function processDecoderConfig (trackType, bytes) {
+  const config = decoderConfigFromBytes(bytes)
+  const trackConfigs = getDecoderConfigs(trackType)
+  trackConfigs.configs.delete(config.configId)
+  trackConfigs.configs.set(config.configId, bytes)
+  while (trackConfigs.configs.size > MAX_DECODER_CONFIGS) {
+    trackConfigs.configs.delete(trackConfigs.configs.keys().next().value)
+  }
+  sendMessageToMain(WORKER_PREFIX, 'decoderconfig', { clkms: Date.now(), mediaType: trackType, configId: config.configId, decoderConfig: config.decoderConfig })
+
+  const waiting = trackConfigs.waiting
+  trackConfigs.waiting = []
+  for (const item of waiting) {
+    if (trackConfigs.configs.has(item.chunkData.configId)) {
+      postMediaChunk(trackType, item.chunkData, item.startTime, item.delivery)
+    } else {
+      trackConfigs.waiting.push(item)
+    }
+  }
+}
+
+function waitForDecoderConfig (trackType, item) {
+  const waiting = getDecoderConfigs(trackType).waiting
+  waiting.push(item)
+  if (waiting.length > MAX_OBJECTS_WAITING_CONFIG) {
+    const dropped = waiting.shift()
+    sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId: dropped.chunkData.seqId, mediaType: trackType, ts: dropped.chunkData.timestamp, msg: `Dropped object because its decoder config ${dropped.chunkData.configId} did NOT arrive` })
+  }
+}
+
+// Without the catalog, every configured media track is subscribed with its init track
+function addInitTracks () {
+  let id = getNextTrackId()
+  for (const [trackType, track] of Object.entries(tracks)) {
+    if (initTrackIsNeeded(trackType, track)) {
+      tracks[initTrackGetType(trackType)] = createInitTrack(trackType, track, initTrackGetName(track.name), id++)
+    }
+  }
+}
+
+// The current config is in the last group
+function createInitTrack (trackType, track, name, id) {
+  return { id, namespace: track.namespace, name, authInfo: track.authInfo, isInit: true, mediaTrackType: trackType, subscribeLocations: { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } } }
+}
+
+function getNextTrackId () {
+  let ret = 0
+  for (const [, track] of Object.entries(tracks)) {
+    if (Number.isInteger(track.id) && track.id >= ret) {
+      ret = track.id + 1
+    }
+  }
+  return ret
+}
+
+async function startLoopControlLoop (controlReader) {
+  while (workerState === StateEnum.Running) {
+    const msg = await moqParseControlMessage(controlReader, moqt.version)
+    if (msg.type === MOQ_MESSAGE_SUBSCRIBE_OK) {
+      // Subscriptions sent after the catalog
+      const trackType = getTrackTypeFromSubscription(msg.data)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Received SUBSCRIBE response for ${moqGetSubscriptionStr(msg.data)} (type: ${trackType}): ${moqToJSONString(msg.data)}`)
+      if (trackType !== undefined && moqt.version !== MOQ_DRAFT03_VERSION) {
+        tracks[trackType].id = msg.data.trackId
+        releaseObjectsWaitingTrackId(trackType)
+      }
+    } else if (msg.type === MOQ_MESSAGE_SUBSCRIBE_DONE) {
+      const trackType = getTrackTypeFromSubscription(msg.data)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Received SUBSCRIBE_DONE for ${moqGetSubscriptionStr(msg.data)} (type: ${trackType}): ${moqToJSONString(msg.data)}`)
+      reportStatus('done', `Subscription for ${trackType} finished by publisher. Code: ${msg.data.statusCode}, reason: ${msg.data.reason}`)
+      if (trackType !== undefined) {
+        tracks[trackType].isDone = true
+      }
+    } else if (msg.type === MOQ_MESSAGE_SUBSCRIBE_ERROR) {
+      reportStatus('error', `Subscription error for ${moqGetSubscriptionStr(msg.data)}. Code: ${msg.data.errorCode}, reason: ${msg.data.reason}`)
+    } else if (msg.type === MOQ_MESSAGE_ANNOUNCE) {
+      await processDiscoveredAnnounce(msg.data)
+    } else if (msg.type === MOQ_MESSAGE_UNANNOUNCE) {
+      if (Object.values(tracks).some(trackData => trackData.namespace === msg.data.namespace)) {
+        reportStatus('done', `Namespace ${msg.data.namespace} unannounced by publisher`)
+      }
+      processDiscoveredUnAnnounce(msg.data)
+    } else {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Unexpected control message received in subscriber, ignoring it. Type: ${msg.type}, data: ${moqToJSONString(msg.data)}`)
+    }
+  }
+}
+
+function getTrackTypeFromSubscription (data) {
+  let ret
+  for (const [trackType, trackData] of Object.entries(tracks)) {
+    if ((moqt.version === MOQ_DRAFT03_VERSION && trackData.subscribeId === data.subscribeId) || (moqt.version !== MOQ_DRAFT03_VERSION && trackData.namespace === data.namespace && trackData.name === data.trackName)) {
+      ret = trackType
+      break
+    }
+  }
+  return ret
+}
+
 // MOQT
 
 async function moqCreateSubscriberSession (moqt) {
@@ -240,21 +647,145 @@ async function moqCreateSubscriberSession (moqt) {
     throw new Error(`role not supported. Supported ${MOQ_PARAMETER_ROLE_PUBLISHER} or ${MOQ_PARAMETER_ROLE_BOTH}, got from server ${JSON.stringify(setupResponse.parameters.role)}`)
   }
   sendMessageToMain(WORKER_PREFIX, 'info', `Received SETUP response: ${JSON.stringify(setupResponse)}`)
+  moqt.version = setupResponse.version
 
+  nextSubscribeId = 0
   for (const [trackType, trackData] of Object.entries(tracks)) {
-    await moqSendSubscribe(moqt.controlWriter, trackData.namespace, trackData.name, trackData.authInfo)
-    const subscribeResp = await moqParseSubscribeResponse(moqt.controlReader)
-    sendMessageToMain(WORKER_PREFIX, 'info', `Received SUBSCRIBE response for ${trackData.namespace}/${trackData.name}-(type: ${trackType}): ${JSON.stringify(subscribeResp)}`)
-    if (trackData.namespace !== subscribeResp.namespace || trackData.name !== subscribeResp.trackName) {
-      throw new Error(`expecting ${trackData.namespace}/${trackData.name}/, got ${subscribeResp.namespace}/${subscribeResp.trackName}`)
+    await moqSendTrackSubscribe(trackData)
+    const subscribeResp = await moqParseSubscribeResponse(moqt.controlReader, moqt.version)
+    sendMessageToMain(WORKER_PREFIX, 'info', `Received SUBSCRIBE response for ${trackData.namespace}/${trackData.name}-(type: ${trackType}): ${moqToJSONString(subscribeResp)}`)
+    if (moqt.version === MOQ_DRAFT03_VERSION) {
+      if (trackData.subscribeId !== subscribeResp.subscribeId) {
+        throw new Error(`expecting subscribeId ${trackData.subscribeId} for ${trackData.namespace}/${trackData.name}, got ${subscribeResp.subscribeId}`)
+      }
+    } else {
+      if (trackData.namespace !== subscribeResp.namespace || trackData.name !== subscribeResp.trackName) {
+        throw new Error(`expecting ${trackData.namespace}/${trackData.name}/, got ${subscribeResp.namespace}/${subscribeResp.trackName}`)
+      }
+      // Update trackId
+      trackData.id = subscribeResp.trackId
+    }
+  }
+
+  if (namespaceDiscovery !== null && !moqIsSubscribeNamespaceSupported(moqt.version)) {
+    // The relay would close the session (unknown control message), and the playback with it
+    sendMessageToMain(WORKER_PREFIX, 'error', `Namespace discovery not supported, the negotiated version 0x${moqt.version.toString(16)} does NOT define SUBSCRIBE_NAMESPACE`)
+    reportStatus('error', 'namespace discovery not supported')
+  } else if (namespaceDiscovery !== null) {
+    await moqSendSubscribeNamespace(moqt.controlWriter, moqt.version, namespaceDiscovery.namespacePrefix, namespaceDiscovery.authInfo)
+    const subscribeNamespaceResp = await moqParseSubscribeNamespaceResponse(moqt.controlReader, moqt.version)
+    sendMessageToMain(WORKER_PREFIX, 'info', `Received SUBSCRIBE_NAMESPACE response: ${moqToJSONString(subscribeNamespaceResp)}`)
+  }
+}
+
+async function moqSendTrackSubscribe (trackData) {
+  const subscribeId = nextSubscribeId++
+  // In draft-03 we choose the track alias, we use the configured trackId (if any)
+  if (moqt.version === MOQ_DRAFT03_VERSION && (trackData.id === undefined || trackData.id < 0)) {
+    trackData.id = subscribeId
+  }
+  trackData.subscribeId = subscribeId
+  await moqSendSubscribe(moqt.controlWriter, moqt.version, subscribeId, trackData.id, trackData.namespace, trackData.name, trackData.authInfo, trackData.subscribeLocations)
+}
+
+// Namespace discovery
+
+// The relay forwards the ANNOUNCE of every namespace under the prefix (the ones already announced and the new ones)
+async function processDiscoveredAnnounce (announce) {
+  if (namespaceDiscovery === null || !moqIsNamespaceInPrefix(announce.namespace, namespaceDiscovery.namespacePrefix)) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', `Unexpected ANNOUNCE received for ${announce.namespace}, ignoring it`)
+    return
+  }
+  await moqSendAnnounceOk(moqt.controlWriter, announce.namespace)
+  if (!discoveredNamespaces.includes(announce.namespace)) {
+    discoveredNamespaces.push(announce.namespace)
+    reportNamespaces('announced', announce.namespace)
+  }
+}
+
+function processDiscoveredUnAnnounce (unannounce) {
+  const i = discoveredNamespaces.indexOf(unannounce.namespace)
+  if (i >= 0) {
+    discoveredNamespaces.splice(i, 1)
+    reportNamespaces('unannounced', unannounce.namespace)
+  }
+}
+
+function reportNamespaces (event, namespace) {
+  sendMessageToMain(WORKER_PREFIX, 'namespaces', { clkms: Date.now(), event, namespace, namespaces: discoveredNamespaces.slice() })
+}
+
+// Catalog
+
+// Subscribes to the tracks selected from the catalog, and unsubscribes from the ones that are not there anymore
+async function processCatalog (catalogStr, groupSeq) {
+  if (groupSeq <= lastCatalogGroupSeq) {
+    sendMessageToMain(WORKER_PREFIX, 'info', `Ignoring old catalog, group ${groupSeq}, last one ${lastCatalogGroupSeq}`)
+    return
+  }
+  lastCatalogGroupSeq = groupSeq
+
+  const catalog = catalogParse(catalogStr)
+  sendMessageToMain(WORKER_PREFIX, 'catalog', { clkms: Date.now(), catalog })
+  const selected = catalogSelectTracks(catalog, Object.keys(trackTemplates))
+
+  for (const [trackType, trackData] of Object.entries(tracks)) {
+    if (trackData.isCatalog === true || (trackType in selected && selected[trackType].name === trackData.name)) {
+      continue
+    }
+    if (trackData.isInit === true && trackData.mediaTrackType in selected && selected[trackData.mediaTrackType].initTrack === trackData.name) {
+      continue
+    }
+    delete tracks[trackType]
+    // The configIds of another track are NOT the same configs
+    delete decoderConfigs[trackType]
+    if (trackData.isDone === true) {
+      continue
+    }
+    await moqSendUnSubscribe(moqt.controlWriter, moqt.version, trackData.subscribeId, trackData.namespace, trackData.name)
+    sendMessageToMain(WORKER_PREFIX, 'info', `Sent UNSUBSCRIBE for ${trackData.namespace}/${trackData.name}, it is NOT in the catalog anymore`)
+  }
+  for (const [trackType, catalogTrack] of Object.entries(selected)) {
+    if (!(trackType in tracks)) {
+      // The alias (draft-03) or trackId (draft-01) are assigned when subscribing
+      const trackData = Object.assign({ authInfo: tracks.catalog.authInfo }, trackTemplates[trackType], { id: undefined, namespace: catalog.namespace, name: catalogTrack.name, packaging: catalogTrack.packaging, selectionParams: catalogTrack.selectionParams })
+      tracks[trackType] = trackData
+      await moqSendTrackSubscribe(trackData)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Sent SUBSCRIBE for ${trackData.namespace}/${trackData.name} (type: ${trackType}) from catalog`)
+    }
+    const initTrackType = initTrackGetType(trackType)
+    if (typeof catalogTrack.initTrack === 'string' && !(initTrackType in tracks)) {
+      const initTrackData = createInitTrack(trackType, tracks[trackType], catalogTrack.initTrack, undefined)
+      tracks[initTrackType] = initTrackData
+      await moqSendTrackSubscribe(initTrackData)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Sent SUBSCRIBE for ${initTrackData.namespace}/${initTrackData.name} (type: ${initTrackType}) from catalog`)
+    }
+  }
+  reportStatus('subscribed', `Subscribed from catalog to ${Object.entries(selected).map(([trackType, catalogTrack]) => `${trackType}: ${catalog.namespace}/${catalogTrack.name}`).join(', ')}`)
+}
+
+async function moqUnSubscribeAll (moqt) {
+  if (moqt.controlWriter == null) {
+    return
+  }
+  try {
+    for (const [, trackData] of Object.entries(tracks)) {
+      if ('subscribeId' in trackData) {
+        await moqSendUnSubscribe(moqt.controlWriter, moqt.version, trackData.subscribeId, trackData.namespace, trackData.name)
+        sendMessageToMain(WORKER_PREFIX, 'info', `Sent UNSUBSCRIBE for ${trackData.namespace}/${trackData.name}`)
+      }
+    }
+    if (namespaceDiscovery !== null && moqIsSubscribeNamespaceSupported(moqt.version)) {
+      await moqSendUnSubscribeNamespace(moqt.controlWriter, moqt.version, namespaceDiscovery.namespacePrefix)
+      sendMessageToMain(WORKER_PREFIX, 'info', `Sent UNSUBSCRIBE_NAMESPACE for ${namespaceDiscovery.namespacePrefix}`)
     }
-    // Update trackId
-    trackData.id = subscribeResp.trackId
+  } catch (err) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', `Sending UNSUBSCRIBE. Err: ${err.message}`)
   }
 }
 
 function checkTrackData () {
-  if (Object.entries(tracks).length <= 0) {
+  if (Object.entries(tracks).length <= 0 && namespaceDiscovery === null) {
     return 'Number of Track Ids to announce needs to be > 0'
   }
 
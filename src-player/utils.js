@@ -5,11 +5,14 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
+import { decoderConfigFromBytes } from '../packager/decoder_config_packager.js'
+
 export class StateEnum {
   // Create new instances of the same class as static attributes
   static Created = new StateEnum('created')
   static Instantiated = new StateEnum('instantiated')
   static Running = new StateEnum('running')
+  static Reconnecting = new StateEnum('reconnecting')
   static Stopped = new StateEnum('stopped')
 
   constructor (name) {
@@ -24,24 +27,7 @@ export function sendMessageToMain (prefix, type, data) {
   self.postMessage({ type, data })
 }
 
+// Serialized decoder config of the init track (see packager/decoder_config_packager.js), description as ArrayBuffer
 export function deSerializeMetadata (metadata) {
-  const decoder = new TextDecoder()
-  const str = decoder.decode(metadata)
-  const data = JSON.parse(str)
-
-  if (('decoderConfig' in data) && ('descriptionInBase64' in data.decoderConfig)) {
-    data.decoderConfig.description = base64ToArrayBuffer(data.decoderConfig.descriptionInBase64)
-    delete data.decoderConfig.descriptionInBase64
-  }
-  return data.decoderConfig
-}
-
-function base64ToArrayBuffer (base64) {
-  const binaryString = atob(base64)
-  const len = binaryString.length
-  const bytes = new Uint8Array(len)
-  for (let i = 0; i < len; i++) {
-    bytes[i] = binaryString.charCodeAt(i)
-  }
-  return bytes.buffer
+  return decoderConfigFromBytes(metadata).decoderConfig
 }
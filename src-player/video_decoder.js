@@ -7,6 +7,7 @@ LICENSE file in the root directory of this source tree.
 
 import { sendMessageToMain, StateEnum, deSerializeMetadata } from './utils.js'
 import { TsQueue } from './ts_queue.js'
+import { areBytesEqual } from '../utils/buffer_utils.js'
 
 const WORKER_PREFIX = '[VIDEO-DECO]'
 
@@ -22,6 +23,11 @@ let discardedDelta = 0
 let discardedBufferFull = 0
 const maxQueuedChunks = MAX_QUEUED_CHUNKS_DEFAULT
 
+// Serialized decoder config in use, a different one (ex: resolution or codec change) reconfigures the decoder
+let currentMetadata = null
+let currentConfigId
+let configSwitches = 0
+
 // Unlike the  audio decoder video decoder tracks timestamps between input - output, so timestamps of RAW frames matches the timestamps of encoded frames
 
 const ptsQueue = new TsQueue()
@@ -30,6 +36,41 @@ function processVideoFrame (vFrame) {
   self.postMessage({ type: 'vframe', frame: vFrame, queueSize: ptsQueue.getPtsQueueLengthInfo().size, queueLengthMs: ptsQueue.getPtsQueueLengthInfo().lengthMs }, [vFrame])
 }
 
+function createVideoDecoder () {
+  // eslint-disable-next-line no-undef
+  videoDecoder = new VideoDecoder({
+    output: frame => {
+      processVideoFrame(frame)
+    },
+    error: err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', 'Video decoder. err: ' + err.message)
+    }
+  })
+
+  videoDecoder.addEventListener('dequeue', (event) => {
+    if (videoDecoder != null) {
+      ptsQueue.removeUntil(videoDecoder.decodeQueueSize)
+    }
+  })
+}
+
+// After configuring the decoder needs a keyframe
+function configureVideoDecoder (metadata, configId) {
+  // Override values
+  const config = deSerializeMetadata(metadata)
+  config.optimizeForLatency = true
+  // In my test @2022/11 with hardware accel could NOT get real time decoding,
+  // switching to soft decoding fixed everything (h264)
+  config.hardwareAcceleration = 'prefer-software'
+  videoDecoder.configure(config)
+
+  currentMetadata = metadata
+  currentConfigId = configId
+  setWaitForKeyframe(true)
+
+  sendMessageToMain(WORKER_PREFIX, 'decoderstats', { clkms: Date.now(), mediaType: 'video', configId, codec: config.codec, codedWidth: config.codedWidth, codedHeight: config.codedHeight, configSwitches })
+}
+
 function setWaitForKeyframe (a) {
   waitForKeyFrame = a
 }
@@ -58,45 +99,37 @@ self.addEventListener('message', async function (e) {
 
       ptsQueue.clear()
     }
+    currentMetadata = null
+    currentConfigId = undefined
+    configSwitches = 0
     workerState = StateEnum.Created
+  } else if (type === 'flush') {
+    // New subscription (ex: after reconnecting), it starts again from a keyframe
+    setWaitForKeyframe(true)
+    sendMessageToMain(WORKER_PREFIX, 'info', 'Flushed, waiting for a keyframe')
   } else if (type === 'videochunk') {
+    const metadataSize = (e.data.metadata !== undefined && e.data.metadata != null) ? e.data.metadata.byteLength : '-'
+    sendMessageToMain(WORKER_PREFIX, 'debug', `SeqId: ${e.data.seqId} Received chunk, chunkSize: ${e.data.chunk.byteLength}, metadataSize: ${metadataSize}, configId: ${e.data.configId}`)
     if (e.data.metadata !== undefined && e.data.metadata != null) {
-      sendMessageToMain(WORKER_PREFIX, 'debug', `SeqId: ${e.data.seqId} Received chunk, chunkSize: ${e.data.chunk.byteLength}, metadataSize: ${e.data.metadata.byteLength}`)
-      if (videoDecoder != null) {
-        sendMessageToMain(WORKER_PREFIX, 'debug', `SeqId: ${e.data.seqId} Received init, but VideoDecoder already initialized`)
-      } else {
-        // Initialize video decoder
-        // eslint-disable-next-line no-undef
-        videoDecoder = new VideoDecoder({
-          output: frame => {
-            processVideoFrame(frame)
-          },
-          error: err => {
-            sendMessageToMain(WORKER_PREFIX, 'error', 'Video decoder. err: ' + err.message)
-          }
-        })
-
-        videoDecoder.addEventListener('dequeue', (event) => {
-          if (videoDecoder != null) {
-            ptsQueue.removeUntil(videoDecoder.decodeQueueSize)
-          }
-        })
-
-        // Override values
-        const config = deSerializeMetadata(e.data.metadata)
-        config.optimizeForLatency = true
-        // In my test @2022/11 with hardware accel could NOT get real time decoding,
-        // switching to soft decoding fixed everything (h264)
-        config.hardwareAcceleration = 'prefer-software'
-        videoDecoder.configure(config)
+      if (videoDecoder == null) {
+        createVideoDecoder()
+        configureVideoDecoder(e.data.metadata, e.data.configId)
 
         workerState = StateEnum.Running
-        setWaitForKeyframe(true)
 
-        sendMessageToMain(WORKER_PREFIX, 'info', `SeqId: ${e.data.seqId} Initialized and configured`)
+        sendMessageToMain(WORKER_PREFIX, 'info', `SeqId: ${e.data.seqId} Initialized and configured (configId: ${e.data.configId})`)
+      } else if (!areBytesEqual(e.data.metadata, currentMetadata)) {
+        // Resolution or codec change. Control messages are queued in order, so the frames of the previous config are still output
+        videoDecoder.flush()
+          .catch(err => {
+            sendMessageToMain(WORKER_PREFIX, 'warning', `Flushing before reconfiguring. Err: ${err.message}`)
+          })
+        const previousConfigId = currentConfigId
+        configSwitches++
+        configureVideoDecoder(e.data.metadata, e.data.configId)
+
+        sendMessageToMain(WORKER_PREFIX, 'info', `SeqId: ${e.data.seqId} Reconfigured, configId: ${previousConfigId} -> ${e.data.configId}`)
       }
-    } else {
-      sendMessageToMain(WORKER_PREFIX, 'debug', `SeqId: ${e.data.seqId} Received chunk, chunkSize: ${e.data.chunk.byteLength}, metadataSize: -`)
     }
 
     if (workerState !== StateEnum.Running) {
@@ -117,6 +150,13 @@ self.addEventListener('message', async function (e) {
       setWaitForKeyframe(true)
     }
 
+    // The key chunk with the new config was lost, the next one is needed
+    if (e.data.configId !== undefined && currentConfigId !== undefined && e.data.configId !== currentConfigId) {
+      setWaitForKeyframe(true)
+      discardedDelta++
+      return
+    }
+
     // The message is video chunk
     if (isWaitingForKeyframe() && (e.data.chunk.type !== 'key')) {
       // Discard Frame
@@ -0,0 +1,199 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// End to end checks in Node over the in-memory transport (see utils/transport.js), no browser or external relay needed
+// Run: node src-relay/loopback_check.mjs (exits with 1 if any check fails)
+
+import assert from 'node:assert/strict'
+import { createLoopbackSessionPair } from '../utils/transport.js'
+import { MoqRelay } from './moq_relay.js'
+import { MOQ_LOCATION_MODE_RELATIVE_PREVIOUS } from '../utils/moqt.js'
+
+// Workers shim: every worker module instance listens in its own scope, all of them post to the same list
+const posted = []
+globalThis.EncodedVideoChunk = class {
+  constructor (init) {
+    Object.assign(this, init)
+  }
+}
+globalThis.EncodedAudioChunk = globalThis.EncodedVideoChunk
+
+const checks = []
+
+function check (name, fn) {
+  checks.push({ name, fn })
+}
+
+// Transport
+
+check('loopback pair delivers streams and datagrams', async () => {
+  const [client, server] = createLoopbackSessionPair()
+
+  const bidi = await client.createBidirectionalStream()
+  const serverBidi = (await server.incomingBidirectionalStreams.getReader().read()).value
+  await writeAndClose(bidi.writable, [1, 2])
+  assert.deepEqual(await readAll(serverBidi.readable), [1, 2])
+  await writeAndClose(serverBidi.writable, [3])
+  assert.deepEqual(await readAll(bidi.readable), [3])
+
+  const uni = await server.createUnidirectionalStream()
+  const clientUni = (await client.incomingUnidirectionalStreams.getReader().read()).value
+  await writeAndClose(uni, [4, 5, 6])
+  assert.deepEqual(await readAll(clientUni), [4, 5, 6])
+
+  const datagramWriter = client.datagrams.writable.getWriter()
+  await datagramWriter.write(new Uint8Array([7]))
+  // Bigger than maxDatagramSize, lost
+  await datagramWriter.write(new Uint8Array(client.datagrams.maxDatagramSize + 1))
+  await datagramWriter.write(new Uint8Array([8]))
+  const datagramReader = server.datagrams.readable.getReader()
+  assert.deepEqual(Array.from((await datagramReader.read()).value), [7])
+  assert.deepEqual(Array.from((await datagramReader.read()).value), [8])
+
+  client.close()
+})
+
+check('loopback close errors the open streams of both ends', async () => {
+  const [client, server] = createLoopbackSessionPair()
+
+  const bidi = await client.createBidirectionalStream()
+  const serverBidi = (await server.incomingBidirectionalStreams.getReader().read()).value
+  // Reader blocked waiting (ex: control loop)
+  const serverRead = serverBidi.readable.getReader().read()
+  const clientRead = bidi.readable.getReader().read()
+
+  // Already closed by the writer, the data is NOT lost
+  const uni = await client.createUnidirectionalStream()
+  const serverUniReader = server.incomingUnidirectionalStreams.getReader()
+  const serverUni = (await serverUniReader.read()).value
+  await writeAndClose(uni, [1])
+
+  const serverIncoming = serverUniReader.read()
+
+  client.close({ closeCode: 0, reason: 'bye' })
+  await assert.rejects(serverRead, /Loopback session closed/)
+  await assert.rejects(clientRead, /Loopback session closed/)
+  await assert.rejects(serverBidi.writable.getWriter().write(new Uint8Array([1])), /Loopback session closed/)
+  assert.deepEqual(await readAll(serverUni), [1])
+  assert.equal((await serverIncoming).done, true)
+  assert.deepEqual(await server.closed, { closeCode: 0, reason: 'bye' })
+  await assert.rejects(server.createUnidirectionalStream(), /Loopback session is closed/)
+})
+
+// Relay
+
+check('relay fans out to subscribers joining mid-stream and unsubscribes upstream after the last one', async () => {
+  const relayMsgs = []
+  const relay = new MoqRelay({ onMessage: (type, msg) => relayMsgs.push({ type, msg }) })
+  relay.Listen('check-relay')
+
+  const sender = await importWorker('../src-encoder/moq_sender.js')
+  const subscriberA = await importWorker('../src-player/moq_demuxer_downloader.js?subscriber-a')
+  const subscriberB = await importWorker('../src-player/moq_demuxer_downloader.js?subscriber-b')
+  const downloaderConfig = {
+    urlHostPort: 'loopback://check-relay',
+    urlPath: '',
+    moqTracks: { video: { id: 0, namespace: 'check', name: 'video', authInfo: 'secret', subscribeLocations: { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } } } }
+  }
+
+  sender.send({ type: 'muxersendini', muxerSenderConfig: { urlHostPort: 'loopback://check-relay', urlPath: '', moqTracks: { video: { id: 0, namespace: 'check', name: 'video', authInfo: 'secret', maxInFlightRequests: 50, isHipri: false } } } })
+  await sleep(100)
+
+  // Keyframe every 5 frames, groups start at seqIds 0, 5, 10 and 15
+  let seqId = 0
+  const sendFrames = async (num) => {
+    for (let i = 0; i < num; i++) {
+      const data = new Uint8Array(100).fill(seqId % 256)
+      sender.send({ type: 'video', seqId, chunk: { type: (seqId % 5 === 0) ? 'key' : 'delta', timestamp: seqId * 33000, duration: 33000, byteLength: data.byteLength, copyTo: buffer => buffer.set(data) } })
+      seqId++
+      await sleep(5)
+    }
+  }
+
+  await sendFrames(7)
+  // Joins in the group of seqId 5
+  subscriberA.send({ type: 'downloadersendini', downloaderConfig })
+  await sleep(100)
+  await sendFrames(6)
+  // Joins in the group of seqId 10
+  subscriberB.send({ type: 'downloadersendini', downloaderConfig })
+  await sleep(100)
+  await sendFrames(5)
+  await sleep(100)
+
+  const received = {}
+  for (const msg of posted.filter(msg => msg.type === 'videochunk')) {
+    received[msg.seqId] = (received[msg.seqId] === undefined) ? 1 : received[msg.seqId] + 1
+  }
+  const expected = {}
+  for (let i = 5; i < seqId; i++) {
+    expected[i] = (i < 10) ? 1 : 2
+  }
+  assert.deepEqual(received, expected)
+  assert.deepEqual(posted.filter(msg => msg.type === 'error'), [])
+
+  subscriberA.send({ type: 'stop' })
+  await sleep(100)
+  assert.ok('check/video' in relay.tracks, 'the track is kept while subscriber B is there')
+  subscriberB.send({ type: 'stop' })
+  await sleep(100)
+  assert.ok(!('check/video' in relay.tracks), 'the track is removed without subscribers')
+  assert.ok(posted.some(msg => /\[MOQ-SENDER\] Removed subscriber for track check\/video\. Current num subscriber: 0/.test(msg.data)), 'the publisher received UNSUBSCRIBE')
+
+  sender.send({ type: 'stop' })
+  await sleep(100)
+  await relay.Close()
+  assert.deepEqual(relayMsgs.filter(msg => msg.type === 'error'), [])
+})
+
+// Helpers
+
+// The worker module listens (addEventListener) in the self it sees when it is imported
+async function importWorker (url) {
+  const scope = new EventTarget()
+  scope.postMessage = (msg) => posted.push(msg)
+  globalThis.self = scope
+  await import(url)
+  return {
+    send: (data) => scope.dispatchEvent(Object.assign(new Event('message'), { data }))
+  }
+}
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+async function writeAndClose (writable, bytes) {
+  const writer = writable.getWriter()
+  await writer.write(new Uint8Array(bytes))
+  await writer.close()
+}
+
+async function readAll (readable) {
+  const ret = []
+  const reader = readable.getReader()
+  let chunk = await reader.read()
+  while (!chunk.done) {
+    ret.push(...chunk.value)
+    chunk = await reader.read()
+  }
+  return ret
+}
+
+let failed = 0
+for (const { name, fn } of checks) {
+  try {
+    await fn()
+    console.log(`ok - ${name}`)
+  } catch (err) {
+    failed++
+    console.log(`FAILED - ${name}`)
+    console.log(err)
+  }
+}
+console.log(`${checks.length - failed}/${checks.length} checks passed`)
+process.exit((failed > 0) ? 1 : 0)
@@ -0,0 +1,504 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { sendMessageToMain, StateEnum } from '../src-player/utils.js'
+import { moqCreate, moqClose, moqCreateControlStream, moqSendSetup, moqParseSetupResponse, moqSendSubscribe, moqParseSubscribeResponse, moqSendUnSubscribe, moqSendAnnounce, moqParseAnnounceResponse, moqSendUnAnnounce, moqParseControlMessage, moqSendSubscribeResponse, moqSendSubscribeError, moqParseObjectHeader, moqParseNextObjectHeader, moqGetAbsoluteSubscribeRange, moqGetSubscriptionStr, moqToJSONString, MOQ_DRAFT03_VERSION, MOQ_PARAMETER_ROLE_PUBLISHER, MOQ_PARAMETER_ROLE_SUBSCRIBER, MOQ_PARAMETER_ROLE_BOTH, MOQ_MESSAGE_SUBSCRIBE, MOQ_MESSAGE_UNSUBSCRIBE, MOQ_MESSAGE_SUBSCRIBE_DONE, MOQ_MESSAGE_UNANNOUNCE, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, MOQ_SUBSCRIBE_ERROR_INTERNAL, MOQ_SUBSCRIBE_ERROR_INVALID_RANGE, MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED, MOQ_SUBSCRIBE_DONE_TRACK_ENDED, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, MOQ_LOCATION_MODE_RELATIVE_PREVIOUS } from '../utils/moqt.js'
+import { createMediaPackager } from '../packager/media_packager.js'
+import { BufferedReader } from '../utils/buffered_reader.js'
+import { GroupCache } from '../utils/group_cache.js'
+import { createTransportSession, createTransportOptions } from '../utils/transport.js'
+import { checkSubscribeRange, isInSubscriptionRange, isSubscriptionFinished } from '../utils/subscribe_range.js'
+import { initTrackIsNeeded, initTrackGetType, initTrackGetName } from '../utils/init_track.js'
+import { subscriptionCreate, subscriptionFind, subscriptionSendDone, subscriptionSendObject } from '../utils/subscriptions.js'
+
+const WORKER_PREFIX = '[MOQ-FORWARDER]'
+
+const MAX_CACHED_GROUPS_DEFAULT = 1
+
+let workerState = StateEnum.Created
+
+let isSendingStats = false
+let source = {}
+let destination = {}
+let tracks = {}
+// Example
+/* forwarderConfig: {
+    source: { urlHostPort: 'https://relay-a:4433/moq', namespace: 'vc', authInfo: 'secret' },
+    destination: { urlHostPort: 'https://relay-b:4433/moq', namespace: 'vc-fwd', authInfo: 'secret', maxCachedGroups: 1 },
+    moqTracks: {
+        "audio": {
+            id: 0,
+            name: "aaa/audio"
+        },
+        "video": {
+            id: 1,
+            name: "aaa/video",
+            subscribeLocations: { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } }, // Optional, by default from next group
+            packaging: "loc", // Optional, "loc" (default), "loc-ext" or "cmaf", needed to read the group boundaries from the objects
+            isEncrypted: true // Optional, end to end encrypted payloads (see utils/sframe.js) can NOT be read, the source groups are kept
+        }
+    }
+} */
+// The init track of every media track (see utils/init_track.js) is also forwarded
+
+// MOQT data
+// If source and destination are the same endpoint both use the same session (role BOTH)
+let sourceMoqt = moqCreate()
+let destinationMoqt = sourceMoqt
+
+// Downstream subscriptions (one per received SUBSCRIBE)
+let subscriptions = {}
+let subscriptionsCounter = 0
+
+self.addEventListener('message', async function (e) {
+  if ((workerState === StateEnum.Created) || (workerState === StateEnum.Stopped)) {
+    workerState = StateEnum.Instantiated
+  }
+
+  const type = e.data.type
+  if (type === 'stop') {
+    workerState = StateEnum.Stopped
+
+    try {
+      await moqUnSubscribeAll()
+      await moqUnAnnounceAll()
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'info', `Releasing subscriptions while exiting. Err: ${err.message}`)
+    } finally {
+      releaseAllSubscriptions()
+      await closeSessions()
+    }
+    return
+  }
+
+  if (type !== 'forwarderini') {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid message received ${type}`)
+    return
+  }
+  if (workerState !== StateEnum.Instantiated) {
+    sendMessageToMain(WORKER_PREFIX, 'error', 'received ini message in wrong state. State: ' + workerState)
+    return
+  }
+
+  const config = e.data.forwarderConfig
+  if (config === undefined || config.source === undefined || config.destination === undefined || config.moqTracks === undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'error', 'We need source, destination and moqTracks to start forwarding')
+    return
+  }
+  source = config.source
+  destination = config.destination
+  tracks = config.moqTracks
+  if ('isSendingStats' in config) {
+    isSendingStats = config.isSendingStats
+  }
+  const errTrackStr = checkTrackData()
+  if (errTrackStr !== '') {
+    sendMessageToMain(WORKER_PREFIX, 'error', errTrackStr)
+    return
+  }
+  addInitTracks()
+
+  try {
+    await closeSessions()
+    sourceMoqt = moqCreate()
+    destinationMoqt = (source.urlHostPort === destination.urlHostPort) ? sourceMoqt : moqCreate()
+
+    // Upstream first, the SUBSCRIBE answers are read before any SUBSCRIBE can arrive from downstream
+    await openSession(sourceMoqt, source, (sourceMoqt === destinationMoqt) ? MOQ_PARAMETER_ROLE_BOTH : MOQ_PARAMETER_ROLE_SUBSCRIBER)
+    await moqSubscribeToSource()
+    if (destinationMoqt !== sourceMoqt) {
+      await openSession(destinationMoqt, destination, MOQ_PARAMETER_ROLE_PUBLISHER)
+    }
+    await moqAnnounceToDestination()
+
+    sendMessageToMain(WORKER_PREFIX, 'info', `MOQ Initialized, forwarding ${source.namespace} to ${destination.namespace}`)
+    workerState = StateEnum.Running
+
+    startControlLoop(sourceMoqt)
+    if (destinationMoqt !== sourceMoqt) {
+      startControlLoop(destinationMoqt)
+    }
+
+    // Objects can arrive in streams (per object or per group) and datagrams
+    moqReceiveObjects(sourceMoqt)
+      .catch(err => {
+        if (workerState !== StateEnum.Stopped) {
+          sendMessageToMain(WORKER_PREFIX, 'error', `Error receiving streams. Err: ${err.message}`)
+        }
+      })
+    moqReceiveDatagrams(sourceMoqt)
+      .catch(err => {
+        if (workerState !== StateEnum.Stopped) {
+          sendMessageToMain(WORKER_PREFIX, 'error', `Error receiving datagrams. Err: ${err.message}`)
+        }
+      })
+  } catch (err) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Initializing MOQ. Err: ${err.message}`)
+  }
+})
+
+// Sessions
+
+// endpoint: source or destination config
+async function openSession (moqt, endpoint, moqIntRole) {
+  const urlHostPort = endpoint.urlHostPort
+  // Certificate trust (tlsTrust), by default the fingerprint served by the page origin
+  const options = await createTransportOptions(urlHostPort, endpoint.tlsTrust)
+
+  moqt.session = createTransportSession(urlHostPort, options)
+  moqt.session.closed
+    .then(() => {
+      sendMessageToMain(WORKER_PREFIX, 'info', `WT closed transport session ${urlHostPort}`)
+      releaseAllSubscriptions()
+    })
+    .catch(error => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `WT error, closed transport ${urlHostPort}. Err: ${error}`)
+      releaseAllSubscriptions()
+    })
+
+  await moqt.session.ready
+  await moqCreateControlStream(moqt)
+
+  await moqSendSetup(moqt.controlWriter, moqIntRole)
+  const setupResponse = await moqParseSetupResponse(moqt.controlReader)
+  sendMessageToMain(WORKER_PREFIX, 'info', `Received SETUP response from ${urlHostPort}: ${JSON.stringify(setupResponse)}`)
+  moqt.version = setupResponse.version
+}
+
+async function closeSessions () {
+  try {
+    await moqClose(sourceMoqt)
+    if (destinationMoqt !== sourceMoqt) {
+      await moqClose(destinationMoqt)
+    }
+  } catch (err) {
+    // Expected if the other end already closed it
+  }
+}
+
+// Source (subscriber role)
+
+async function moqSubscribeToSource () {
+  const moqt = sourceMoqt
+  let subscribeId = 0
+  for (const [trackType, track] of Object.entries(tracks)) {
+    track.subscribeId = subscribeId++
+    await moqSendSubscribe(moqt.controlWriter, moqt.version, track.subscribeId, track.subscribeId, source.namespace, track.name, source.authInfo, track.subscribeLocations)
+    const subscribeResp = await moqParseSubscribeResponse(moqt.controlReader, moqt.version)
+    sendMessageToMain(WORKER_PREFIX, 'info', `Received SUBSCRIBE response for ${source.namespace}/${track.name} (type: ${trackType}): ${moqToJSONString(subscribeResp)}`)
+    // In draft-01 the publisher assigns the trackId used in the objects
+    track.sourceTrackId = (moqt.version === MOQ_DRAFT03_VERSION) ? track.subscribeId : subscribeResp.trackId
+    track.state = createTrackState(destination.maxCachedGroups)
+  }
+}
+
+async function moqUnSubscribeAll () {
+  if (sourceMoqt.controlWriter == null) {
+    return
+  }
+  for (const track of Object.values(tracks)) {
+    if (track.subscribeId !== undefined) {
+      await moqSendUnSubscribe(sourceMoqt.controlWriter, sourceMoqt.version, track.subscribeId, source.namespace, track.name)
+    }
+  }
+}
+
+async function moqReceiveObjects (moqt) {
+  const readableStream = moqt.session.incomingUnidirectionalStreams.getReader()
+  while (workerState !== StateEnum.Stopped) {
+    const stream = await readableStream.read()
+    if (stream.done) {
+      break
+    }
+    // Not awaited, a group stream stays open for the whole group and it can not block the other streams
+    moqReceiveProcessStream(moqt, new BufferedReader(stream.value), 'stream')
+      .catch(err => {
+        sendMessageToMain(WORKER_PREFIX, 'dropped stream', { clkms: Date.now(), seqId: -1, msg: `Dropped stream. Err: ${err.message}` })
+      })
+  }
+}
+
+async function moqReceiveDatagrams (moqt) {
+  const datagramReader = moqt.session.datagrams.readable.getReader()
+  while (workerState !== StateEnum.Stopped) {
+    const datagram = await datagramReader.read()
+    if (datagram.done) {
+      break
+    }
+    try {
+      await moqReceiveProcessStream(moqt, new BufferedReader(datagram.value), 'datagram')
+    } catch (err) {
+      sendMessageToMain(WORKER_PREFIX, 'dropped stream', { clkms: Date.now(), seqId: -1, msg: `Dropped datagram. Err: ${err.message}` })
+    }
+  }
+}
+
+// delivery: 'stream' or 'datagram', objects are forwarded using the same one
+async function moqReceiveProcessStream (moqt, reader, delivery) {
+  let moqObj = await moqParseObjectHeader(reader, moqt.version)
+  while (moqObj !== undefined) {
+    let payload
+    if (moqObj.payloadLength === undefined) {
+      payload = await reader.ReadUntilEof()
+    } else {
+      await reader.Fill(moqObj.payloadLength)
+      payload = reader.ReadBytes(moqObj.payloadLength)
+    }
+    forwardObject(moqObj, payload, delivery)
+    if (moqObj.payloadLength === undefined) {
+      break
+    }
+    moqObj = await moqParseNextObjectHeader(reader, moqt.version, moqObj)
+  }
+}
+
+// Destination (publisher role)
+
+async function moqAnnounceToDestination () {
+  const moqt = destinationMoqt
+  await moqSendAnnounce(moqt.controlWriter, destination.namespace, destination.authInfo)
+  const announceResp = await moqParseAnnounceResponse(moqt.controlReader, moqt.version)
+  sendMessageToMain(WORKER_PREFIX, 'info', `Received ANNOUNCE response for ${destination.namespace}: ${JSON.stringify(announceResp)}`)
+  if (destination.namespace !== announceResp.namespace) {
+    throw new Error(`expecting namespace ${destination.namespace}, got ${JSON.stringify(announceResp)}`)
+  }
+}
+
+async function moqUnAnnounceAll () {
+  if (destinationMoqt.controlWriter == null) {
+    return
+  }
+  await moqSendUnAnnounce(destinationMoqt.controlWriter, destination.namespace)
+}
+
+function startControlLoop (moqt) {
+  controlLoop(moqt)
+    .then(_ => {
+      sendMessageToMain(WORKER_PREFIX, 'info', 'Exited receiving control messages loop')
+    })
+    .catch(err => {
+      if (workerState !== StateEnum.Stopped) {
+        sendMessageToMain(WORKER_PREFIX, 'error', `Error in the control messages loop. Err: ${err.message}`)
+      }
+    })
+}
+
+async function controlLoop (moqt) {
+  while (workerState === StateEnum.Running) {
+    const msg = await moqParseControlMessage(moqt.controlReader, moqt.version)
+    if (moqt === destinationMoqt && msg.type === MOQ_MESSAGE_SUBSCRIBE) {
+      await processSubscribe(msg.data)
+    } else if (moqt === destinationMoqt && msg.type === MOQ_MESSAGE_UNSUBSCRIBE) {
+      await processUnSubscribe(msg.data)
+    } else if (moqt === sourceMoqt && msg.type === MOQ_MESSAGE_SUBSCRIBE_DONE) {
+      processSourceSubscribeDone(msg.data)
+    } else if (moqt === sourceMoqt && msg.type === MOQ_MESSAGE_UNANNOUNCE) {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Source namespace ${msg.data.namespace} unannounced`)
+    } else {
+      sendMessageToMain(WORKER_PREFIX, 'warning', `Unexpected control message received in forwarder, ignoring it. Type: ${msg.type}, data: ${moqToJSONString(msg.data)}`)
+    }
+  }
+}
+
+async function processSubscribe (subscribe) {
+  const moqt = destinationMoqt
+  const trackType = getTrackType(subscribe.namespace, subscribe.trackName)
+  if (trackType === undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe received ${subscribe.namespace}/${subscribe.trackName} is NOT in tracks ${JSON.stringify(tracks)}`)
+    await moqSendSubscribeError(moqt.controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, 'track does not exist')
+    return
+  }
+  if (destination.authInfo !== subscribe.parameters.authInfo) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe authInfo ${subscribe.parameters.authInfo}`)
+    await moqSendSubscribeError(moqt.controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, 'unauthorized')
+    return
+  }
+  if (moqt.version === MOQ_DRAFT03_VERSION && subscriptionFind(Object.values(subscriptions), moqt.version, subscribe) !== undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe received, subscribeId ${subscribe.subscribeId} already in use`)
+    await moqSendSubscribeError(moqt.controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_INTERNAL, 'subscribeId already in use')
+    return
+  }
+  const trackState = tracks[trackType].state
+  const range = moqGetAbsoluteSubscribeRange(subscribe, trackState.currentGroupSeq)
+  const errRangeStr = checkSubscribeRange(range, trackState.currentGroupSeq, trackState.groupCache)
+  if (errRangeStr !== '') {
+    sendMessageToMain(WORKER_PREFIX, 'error', `Invalid subscribe range for ${subscribe.namespace}/${subscribe.trackName}: ${errRangeStr}. Range: ${moqToJSONString(range)}`)
+    await moqSendSubscribeError(moqt.controlWriter, moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_INVALID_RANGE, errRangeStr)
+    return
+  }
+
+  const subscription = addSubscription(trackType, subscribe, range)
+  // Taken now, objects forwarded from here are sent as they arrive
+  const cachedObjects = trackState.groupCache.GetObjectsFrom(subscription.startGroupSeq, subscription.startObjSeq).filter(obj => isInSubscriptionRange(subscription, obj.groupSeq, obj.objSeq))
+  sendMessageToMain(WORKER_PREFIX, 'info', `New subscriber for track ${subscribe.namespace}/${subscribe.trackName}. Range: ${moqToJSONString(range)}, cached objects: ${cachedObjects.length}`)
+  await moqSendSubscribeResponse(moqt.controlWriter, moqt.version, subscribe.subscribeId, subscribe.namespace, subscribe.trackName, tracks[trackType].id, 0)
+
+  for (const obj of cachedObjects) {
+    sendObject(subscription, obj, 'stream')
+  }
+  // The requested range could be already in the past
+  if (isSubscriptionFinished(subscription, trackState.currentGroupSeq, trackState.currentObjectSeq - 1)) {
+    finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, 'subscription ended')
+  }
+}
+
+async function processUnSubscribe (unsubscribe) {
+  const subscription = subscriptionFind(Object.values(subscriptions), destinationMoqt.version, unsubscribe)
+  if (subscription === undefined) {
+    sendMessageToMain(WORKER_PREFIX, 'warning', `Received UNSUBSCRIBE for ${moqGetSubscriptionStr(unsubscribe)}, but there is NOT any subscription for it`)
+    return
+  }
+  delete subscriptions[subscription.id]
+  sendMessageToMain(WORKER_PREFIX, 'info', `Removed subscriber for track ${subscription.namespace}/${subscription.trackName}`)
+  await subscriptionSendDone(destinationMoqt, subscription, MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED, 'unsubscribed')
+}
+
+// The source track ended, so do the forwarded one
+function processSourceSubscribeDone (subscribeDone) {
+  const trackType = Object.keys(tracks).find(trackType => {
+    if (sourceMoqt.version === MOQ_DRAFT03_VERSION) {
+      return tracks[trackType].subscribeId === subscribeDone.subscribeId
+    }
+    return tracks[trackType].name === subscribeDone.trackName
+  })
+  sendMessageToMain(WORKER_PREFIX, 'warning', `Received SUBSCRIBE_DONE from source for ${moqGetSubscriptionStr(subscribeDone)} (type: ${trackType}): ${moqToJSONString(subscribeDone)}`)
+  for (const subscription of Object.values(subscriptions)) {
+    if (subscription.trackType === trackType) {
+      finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_TRACK_ENDED, 'source track ended')
+    }
+  }
+}
+
+function addSubscription (trackType, subscribe, range) {
+  // In draft-01 the objects use the track id of the publisher
+  const subscription = subscriptionCreate(subscriptionsCounter++, destinationMoqt.version, subscribe, range, tracks[trackType].id)
+  subscription.trackType = trackType
+  subscriptions[subscription.id] = subscription
+  return subscription
+}
+
+function finishSubscription (subscription, statusCode, reason) {
+  delete subscriptions[subscription.id]
+  sendMessageToMain(WORKER_PREFIX, 'info', `Finished subscription ${moqGetSubscriptionStr(subscription)}. Reason: ${reason}, last object: ${subscription.lastGroupSeq}/${subscription.lastObjSeq}`)
+  if (destinationMoqt.controlWriter == null) {
+    return
+  }
+  subscriptionSendDone(destinationMoqt, subscription, statusCode, reason)
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Sending SUBSCRIBE_DONE for ${moqGetSubscriptionStr(subscription)}. Err: ${err.message}`)
+    })
+}
+
+function releaseAllSubscriptions () {
+  subscriptions = {}
+}
+
+// Forwarding
+
+// Group and object sequences are renumbered in arrival order, a new group starts at every keyframe (read from the LOC header, the payload is forwarded as is)
+// or, if the track is encrypted, at every new source group. Every decoder config (init track) is a new group
+function forwardObject (moqObj, payload, delivery) {
+  const trackType = Object.keys(tracks).find(trackType => tracks[trackType].sourceTrackId === ((sourceMoqt.version === MOQ_DRAFT03_VERSION) ? moqObj.subscribeId : moqObj.trackId))
+  if (trackType === undefined) {
+    throw new Error(`Unexpected object received ${moqToJSONString(moqObj)}. Expecting ${JSON.stringify(tracks)}`)
+  }
+  const trackState = tracks[trackType].state
+
+  let chunkData = { chunkType: 'key', seqId: -1, firstFrameClkms: 0 }
+  if (tracks[trackType].isEncrypted === true) {
+    chunkData.chunkType = (moqObj.groupSeq > trackState.lastSourceGroupSeq) ? 'key' : 'delta'
+    trackState.lastSourceGroupSeq = Math.max(trackState.lastSourceGroupSeq, moqObj.groupSeq)
+  } else if (trackType !== 'data' && tracks[trackType].isInit !== true) {
+    const packet = createMediaPackager(tracks[trackType].packaging, trackType)
+    packet.ReadHeader(new BufferedReader(payload))
+    chunkData = packet.GetData()
+  }
+
+  if (chunkData.chunkType === 'key') {
+    trackState.currentGroupSeq++
+    trackState.currentObjectSeq = 0
+  } else if (trackState.currentGroupSeq < 0) {
+    sendMessageToMain(WORKER_PREFIX, 'dropped', { clkms: Date.now(), seqId: chunkData.seqId, mediaType: trackType, msg: 'Dropped object because first object can not be delta' })
+    return
+  }
+  const obj = { groupSeq: trackState.currentGroupSeq, objSeq: trackState.currentObjectSeq, sendOrder: moqObj.sendOrder, payload }
+  trackState.currentObjectSeq++
+  trackState.groupCache.AddObject(obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload)
+
+  for (const subscription of Object.values(subscriptions)) {
+    if (subscription.trackType !== trackType) {
+      continue
+    }
+    if (isInSubscriptionRange(subscription, obj.groupSeq, obj.objSeq)) {
+      sendObject(subscription, obj, delivery)
+    }
+    if (isSubscriptionFinished(subscription, obj.groupSeq, obj.objSeq)) {
+      finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, 'subscription ended')
+    }
+  }
+
+  if (isSendingStats) {
+    self.postMessage({ type: 'forwarderstats', clkms: Date.now(), captureClkms: chunkData.firstFrameClkms, trackType, seqId: chunkData.seqId, sourceGroupSeq: moqObj.groupSeq, sourceObjSeq: moqObj.objSeq, groupSeq: obj.groupSeq, objSeq: obj.objSeq, numSubscribers: getNumSubscribers(trackType) })
+  }
+}
+
+function sendObject (subscription, obj, delivery) {
+  subscriptionSendObject(destinationMoqt, subscription, obj, delivery)
+    .catch(err => {
+      sendMessageToMain(WORKER_PREFIX, 'error', `Sending object ${obj.groupSeq}/${obj.objSeq} to ${moqGetSubscriptionStr(subscription)}. Err: ${err.message}`)
+    })
+}
+
+// Helpers
+
+// The current config is in the last group of the source
+function addInitTracks () {
+  let id = Math.max(...Object.values(tracks).map(track => track.id)) + 1
+  for (const [trackType, track] of Object.entries(tracks)) {
+    if (initTrackIsNeeded(trackType, track) && !(initTrackGetType(trackType) in tracks)) {
+      tracks[initTrackGetType(trackType)] = { id: id++, name: initTrackGetName(track.name), isInit: true, subscribeLocations: { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } } }
+    }
+  }
+}
+
+function createTrackState (maxCachedGroups) {
+  return {
+    currentGroupSeq: -1,
+    currentObjectSeq: 0,
+    lastSourceGroupSeq: -1,
+    groupCache: new GroupCache((maxCachedGroups === undefined) ? MAX_CACHED_GROUPS_DEFAULT : maxCachedGroups)
+  }
+}
+
+function getTrackType (namespace, trackName) {
+  if (namespace !== destination.namespace) {
+    return undefined
+  }
+  return Object.keys(tracks).find(trackType => tracks[trackType].name === trackName)
+}
+
+function getNumSubscribers (trackType) {
+  return Object.values(subscriptions).filter(subscription => subscription.trackType === trackType).length
+}
+
+function checkTrackData () {
+  if (source.urlHostPort === undefined || source.namespace === undefined || destination.urlHostPort === undefined || destination.namespace === undefined) {
+    return 'Source and destination need urlHostPort and namespace'
+  }
+  if (source.urlHostPort === destination.urlHostPort && source.namespace === destination.namespace) {
+    return 'Destination namespace can NOT be the source namespace in the same endpoint'
+  }
+  if (Object.entries(tracks).length <= 0) {
+    return 'Number of Track Ids to forward needs to be > 0'
+  }
+  for (const track of Object.values(tracks)) {
+    if (!('id' in track) || !('name' in track)) {
+      return 'Track malformed, needs to contain id and name'
+    }
+  }
+  return ''
+}
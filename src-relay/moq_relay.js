@@ -0,0 +1,629 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { moqCreate, moqClose, moqParseSetup, moqSendSetupResponse, moqParseControlMessage, moqSendAnnounce, moqSendAnnounceOk, moqSendAnnounceError, moqSendUnAnnounce, moqSendSubscribeNamespaceOk, moqSendSubscribeNamespaceError, moqIsNamespaceInPrefix, moqSendSubscribe, moqSendUnSubscribe, moqSendSubscribeResponse, moqSendSubscribeError, moqParseObjectHeader, moqParseNextObjectHeader, moqGetAbsoluteSubscribeRange, moqGetSubscriptionStr, moqToJSONString, MOQ_SUPPORTED_VERSIONS, MOQ_DRAFT03_VERSION, MOQ_PARAMETER_ROLE_BOTH, MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, MOQ_MESSAGE_ANNOUNCE, MOQ_MESSAGE_ANNOUNCE_OK, MOQ_MESSAGE_ANNOUNCE_ERROR, MOQ_MESSAGE_UNANNOUNCE, MOQ_MESSAGE_SUBSCRIBE_NAMESPACE, MOQ_MESSAGE_UNSUBSCRIBE_NAMESPACE, MOQ_MESSAGE_SUBSCRIBE, MOQ_MESSAGE_SUBSCRIBE_OK, MOQ_MESSAGE_SUBSCRIBE_ERROR, MOQ_MESSAGE_SUBSCRIBE_DONE, MOQ_MESSAGE_UNSUBSCRIBE, MOQ_ANNOUNCE_ERROR_INTERNAL, MOQ_ANNOUNCE_ERROR_UNAUTHORIZED, MOQ_SUBSCRIBE_NAMESPACE_ERROR_INTERNAL, MOQ_SUBSCRIBE_ERROR_INTERNAL, MOQ_SUBSCRIBE_ERROR_INVALID_RANGE, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED, MOQ_SUBSCRIBE_DONE_TRACK_ENDED, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, MOQ_SUBSCRIBE_DONE_EXPIRED } from '../utils/moqt.js'
+import { BufferedReader } from '../utils/buffered_reader.js'
+import { GroupCache } from '../utils/group_cache.js'
+import { listenLoopback, stopListeningLoopback } from '../utils/transport.js'
+import { checkSubscribeRange, isInSubscriptionRange, isSubscriptionFinished } from '../utils/subscribe_range.js'
+import { subscriptionCreate, subscriptionFind, subscriptionSendDone, subscriptionSendObject } from '../utils/subscriptions.js'
+import { authTokenImportKey, authTokenCreate, authTokenValidate, authTokenScheduleExpiration, AUTH_TOKEN_ROLE_PUBLISHER, AUTH_TOKEN_ROLE_SUBSCRIBER } from '../utils/auth_token.js'
+
+const MAX_CACHED_GROUPS_DEFAULT = 1
+
+// With authKey the relay subscribes upstream with its own token, if it expires the publisher ends the track
+const UPSTREAM_TOKEN_VALIDITY_MS = 24 * 60 * 60 * 1000
+
+// In-process MOQT relay (stand-in of the external relay, ex: for end to end tests in Node)
+// Publishers ANNOUNCE namespaces, subscribers SUBSCRIBE to tracks in them
+// Every track is subscribed once to its publisher (from the last keyframe), the objects are cached and fanned out to all the subscribers
+// SUBSCRIBE_NAMESPACE sessions receive the ANNOUNCE / UNANNOUNCE of the namespaces that match their prefixes
+// Example
+/* const relay = new MoqRelay({ maxCachedGroups: 1 })
+relay.Listen('relay') // Now moq_sender.js and moq_demuxer_downloader.js can connect to loopback://relay
+*/
+export class MoqRelay {
+  // config (optional): { maxCachedGroups, authKey, onMessage(type, msg) }, by default errors and warnings are printed in the console
+  // authKey: secret of the signed tokens (see utils/auth_token.js), if set ANNOUNCE and every SUBSCRIBE need a valid token
+  constructor (config) {
+    const cfg = (config === undefined) ? {} : config
+    this.maxCachedGroups = (cfg.maxCachedGroups === undefined) ? MAX_CACHED_GROUPS_DEFAULT : cfg.maxCachedGroups
+    this.onMessage = (cfg.onMessage === undefined) ? defaultOnMessage : cfg.onMessage
+    // Promise of the CryptoKey
+    this.authKey = (cfg.authKey === undefined || cfg.authKey === '') ? null : authTokenImportKey(cfg.authKey)
+
+    this.host = null
+    this.peersCounter = 0
+    this.subscriptionsCounter = 0
+    // Connected sessions, by id
+    this.peers = {}
+    // Announced namespace -> publisher peer
+    this.namespaces = {}
+    // namespace/trackName -> track (upstream subscription + cache)
+    this.tracks = {}
+  }
+
+  Listen (host) {
+    listenLoopback(host, session => {
+      this.AcceptSession(session)
+    })
+    this.host = host
+  }
+
+  async Close () {
+    if (this.host !== null) {
+      stopListeningLoopback(this.host)
+      this.host = null
+    }
+    const ps = []
+    for (const peer of Object.values(this.peers)) {
+      ps.push(this.closePeer(peer))
+    }
+    await Promise.all(ps)
+  }
+
+  // Serves a transport session (see utils/transport.js) until it is closed
+  async AcceptSession (session) {
+    const peer = {
+      id: this.peersCounter++,
+      moqt: moqCreate(),
+      isClosed: false,
+      // Downstream subscriptions (this peer is subscriber)
+      subscriptions: {},
+      nextTrackId: 0,
+      // Upstream tracks (this peer is publisher)
+      upstreamTracks: [],
+      nextSubscribeId: 0,
+      // Namespace prefixes this peer is subscribed to (SUBSCRIBE_NAMESPACE)
+      namespacePrefixes: []
+    }
+    peer.moqt.session = session
+    this.peers[peer.id] = peer
+    // Closed by the other end, the streams of the session fail from now on
+    session.closed
+      .catch(() => {})
+      .then(() => this.closePeer(peer))
+
+    try {
+      await session.ready
+      await this.processSetup(peer)
+
+      this.receiveObjects(peer)
+        .catch(err => {
+          this.report(peer, 'error', `Receiving object streams. Err: ${err.message}`)
+        })
+      this.receiveDatagrams(peer)
+        .catch(err => {
+          this.report(peer, 'error', `Receiving datagrams. Err: ${err.message}`)
+        })
+
+      await this.controlLoop(peer)
+    } catch (err) {
+      if (!peer.isClosed) {
+        this.report(peer, 'error', `Session error. Err: ${err.message}`)
+      }
+    }
+    await this.closePeer(peer)
+  }
+
+  // Internal
+
+  async processSetup (peer) {
+    const controlStream = (await peer.moqt.session.incomingBidirectionalStreams.getReader().read()).value
+    if (controlStream === undefined) {
+      throw new Error('Session closed before opening the control stream')
+    }
+    peer.moqt.controlStream = controlStream
+    peer.moqt.controlWriter = controlStream.writable
+    peer.moqt.controlReader = new BufferedReader(controlStream.readable)
+
+    const setup = await moqParseSetup(peer.moqt.controlReader)
+    // Offered by preference order
+    const version = setup.versions.find(v => MOQ_SUPPORTED_VERSIONS.includes(v))
+    if (version === undefined) {
+      throw new Error(`None of the offered versions is supported. Offered versions ${JSON.stringify(setup.versions)}`)
+    }
+    peer.moqt.version = version
+    await moqSendSetupResponse(peer.moqt.controlWriter, version, MOQ_PARAMETER_ROLE_BOTH)
+    this.report(peer, 'info', `New session. Version: 0x${version.toString(16)}, role: ${setup.parameters.role}`)
+  }
+
+  async controlLoop (peer) {
+    const reader = peer.moqt.controlReader
+    while (!peer.isClosed && !(await reader.IsEof())) {
+      const msg = await moqParseControlMessage(reader, peer.moqt.version)
+      if (msg.type === MOQ_MESSAGE_ANNOUNCE) {
+        await this.processAnnounce(peer, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_UNANNOUNCE) {
+        this.processUnAnnounce(peer, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_SUBSCRIBE) {
+        // Not awaited, it waits for the publisher answer (received in the publisher control loop)
+        this.processSubscribe(peer, msg.data)
+          .catch(err => {
+            this.report(peer, 'error', `Processing SUBSCRIBE for ${moqGetSubscriptionStr(msg.data)}. Err: ${err.message}`)
+          })
+      } else if (msg.type === MOQ_MESSAGE_UNSUBSCRIBE) {
+        await this.processUnSubscribe(peer, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_SUBSCRIBE_OK || msg.type === MOQ_MESSAGE_SUBSCRIBE_ERROR) {
+        await this.processUpstreamSubscribeResponse(peer, msg.type, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_SUBSCRIBE_DONE) {
+        this.processUpstreamSubscribeDone(peer, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_SUBSCRIBE_NAMESPACE) {
+        await this.processSubscribeNamespace(peer, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_UNSUBSCRIBE_NAMESPACE) {
+        this.processUnSubscribeNamespace(peer, msg.data)
+      } else if (msg.type === MOQ_MESSAGE_ANNOUNCE_OK || msg.type === MOQ_MESSAGE_ANNOUNCE_ERROR) {
+        // Answers to the forwarded ANNOUNCEs, nothing to do
+        this.report(peer, 'debug', `Received answer to forwarded ANNOUNCE. Type: ${msg.type}, data: ${moqToJSONString(msg.data)}`)
+      } else {
+        this.report(peer, 'warning', `Unexpected control message received in relay, ignoring it. Type: ${msg.type}, data: ${moqToJSONString(msg.data)}`)
+      }
+    }
+  }
+
+  // Publishers
+
+  async processAnnounce (peer, announce) {
+    if (this.authKey !== null) {
+      const auth = await authTokenValidate(await this.authKey, announce.parameters.authInfo, AUTH_TOKEN_ROLE_PUBLISHER, announce.namespace, undefined, Date.now())
+      if (auth.errStr !== '') {
+        this.report(peer, 'error', `Invalid announce authInfo for ${announce.namespace}: ${auth.errStr}`)
+        await moqSendAnnounceError(peer.moqt.controlWriter, announce.namespace, MOQ_ANNOUNCE_ERROR_UNAUTHORIZED, `unauthorized: ${auth.errStr}`)
+        return
+      }
+    }
+    const publisher = this.namespaces[announce.namespace]
+    if (publisher !== undefined && publisher !== peer) {
+      this.report(peer, 'error', `Namespace ${announce.namespace} already announced by session ${publisher.id}`)
+      await moqSendAnnounceError(peer.moqt.controlWriter, announce.namespace, MOQ_ANNOUNCE_ERROR_INTERNAL, 'namespace already announced')
+      return
+    }
+    this.namespaces[announce.namespace] = peer
+    this.report(peer, 'info', `Announced namespace ${announce.namespace}`)
+    await moqSendAnnounceOk(peer.moqt.controlWriter, announce.namespace)
+    if (publisher === undefined) {
+      this.notifyNamespaceSubscribers(announce.namespace, true)
+    }
+  }
+
+  processUnAnnounce (peer, unannounce) {
+    if (this.namespaces[unannounce.namespace] !== peer) {
+      this.report(peer, 'warning', `Received UNANNOUNCE for ${unannounce.namespace}, but it was NOT announced by this session`)
+      return
+    }
+    this.removeNamespace(unannounce.namespace, 'namespace unannounced')
+  }
+
+  removeNamespace (namespace, reason) {
+    const publisher = this.namespaces[namespace]
+    delete this.namespaces[namespace]
+    for (const track of Object.values(this.tracks)) {
+      if (track.namespace === namespace) {
+        this.removeTrack(track, reason)
+      }
+    }
+    this.notifyNamespaceSubscribers(namespace, false, publisher)
+  }
+
+  // Namespace subscribers
+
+  async processSubscribeNamespace (peer, subscribeNamespace) {
+    const namespacePrefix = subscribeNamespace.namespacePrefix
+    if (peer.namespacePrefixes.includes(namespacePrefix)) {
+      this.report(peer, 'error', `Namespace prefix ${namespacePrefix} already subscribed`)
+      await moqSendSubscribeNamespaceError(peer.moqt.controlWriter, namespacePrefix, MOQ_SUBSCRIBE_NAMESPACE_ERROR_INTERNAL, 'namespace prefix already subscribed')
+      return
+    }
+    peer.namespacePrefixes.push(namespacePrefix)
+    this.report(peer, 'info', `Subscribed to namespace prefix ${namespacePrefix}`)
+    await moqSendSubscribeNamespaceOk(peer.moqt.controlWriter, namespacePrefix)
+
+    // Namespaces already announced
+    for (const [namespace, publisher] of Object.entries(this.namespaces)) {
+      if (publisher !== peer && moqIsNamespaceInPrefix(namespace, namespacePrefix)) {
+        await moqSendAnnounce(peer.moqt.controlWriter, namespace)
+      }
+    }
+  }
+
+  processUnSubscribeNamespace (peer, unsubscribeNamespace) {
+    const i = peer.namespacePrefixes.indexOf(unsubscribeNamespace.namespacePrefix)
+    if (i < 0) {
+      this.report(peer, 'warning', `Received UNSUBSCRIBE_NAMESPACE for ${unsubscribeNamespace.namespacePrefix}, but it was NOT subscribed`)
+      return
+    }
+    peer.namespacePrefixes.splice(i, 1)
+    this.report(peer, 'info', `Unsubscribed from namespace prefix ${unsubscribeNamespace.namespacePrefix}`)
+  }
+
+  // Sends ANNOUNCE (isAnnounced) or UNANNOUNCE to the peers subscribed to a matching prefix, except to its publisher
+  notifyNamespaceSubscribers (namespace, isAnnounced, publisher) {
+    for (const peer of Object.values(this.peers)) {
+      if (peer.isClosed || peer === publisher || peer === this.namespaces[namespace] || !peer.namespacePrefixes.some(namespacePrefix => moqIsNamespaceInPrefix(namespace, namespacePrefix))) {
+        continue
+      }
+      const p = isAnnounced ? moqSendAnnounce(peer.moqt.controlWriter, namespace) : moqSendUnAnnounce(peer.moqt.controlWriter, namespace)
+      p.catch(err => {
+        this.report(peer, 'warning', `Forwarding ${isAnnounced ? 'ANNOUNCE' : 'UNANNOUNCE'} for ${namespace}. Err: ${err.message}`)
+      })
+    }
+  }
+
+  createTrack (publisher, subscribe) {
+    const track = {
+      key: getTrackKey(subscribe.namespace, subscribe.trackName),
+      publisher,
+      namespace: subscribe.namespace,
+      trackName: subscribe.trackName,
+      // The publisher validates it, the following subscribers need to match it (without authKey)
+      authInfo: subscribe.parameters.authInfo,
+      upstreamSubscribeId: -1,
+      upstreamTrackId: -1,
+      // Accepted by the publisher and NOT ended yet
+      isUpstreamSubscribed: false,
+      isJoiningPrevious: true,
+      // SUBSCRIBEs waiting for the publisher answer
+      pendingSubscribes: 0,
+      // Resolved with the publisher answer: { isOk, errorCode, reason }
+      ready: null,
+      resolveReady: null,
+      largestGroupSeq: -1,
+      largestObjSeq: -1,
+      groupCache: new GroupCache(this.maxCachedGroups),
+      subscriptions: {}
+    }
+    track.ready = new Promise(resolve => { track.resolveReady = resolve })
+    this.tracks[track.key] = track
+    publisher.upstreamTracks.push(track)
+    return track
+  }
+
+  // From the last keyframe the publisher has, that fills the cache as soon as possible
+  async sendUpstreamSubscribe (track) {
+    const publisher = track.publisher
+    track.upstreamSubscribeId = publisher.nextSubscribeId++
+    const locations = track.isJoiningPrevious ? { startGroup: { mode: MOQ_LOCATION_MODE_RELATIVE_PREVIOUS, value: 0 } } : undefined
+    const authInfo = (this.authKey === null) ? track.authInfo : await authTokenCreate(await this.authKey, { namespace: track.namespace, trackNamePattern: track.trackName, role: AUTH_TOKEN_ROLE_SUBSCRIBER, expMs: Date.now() + UPSTREAM_TOKEN_VALIDITY_MS, viewerId: `relay-${this.host}` })
+    await moqSendSubscribe(publisher.moqt.controlWriter, publisher.moqt.version, track.upstreamSubscribeId, track.upstreamSubscribeId, track.namespace, track.trackName, authInfo, locations)
+  }
+
+  async processUpstreamSubscribeResponse (peer, type, data) {
+    const track = findUpstreamTrack(peer, data)
+    if (track === undefined) {
+      this.report(peer, 'warning', `Received SUBSCRIBE answer for ${moqGetSubscriptionStr(data)}, but there is NOT any upstream subscription for it`)
+      return
+    }
+    if (type === MOQ_MESSAGE_SUBSCRIBE_OK) {
+      if (peer.moqt.version !== MOQ_DRAFT03_VERSION) {
+        track.upstreamTrackId = data.trackId
+      }
+      track.isUpstreamSubscribed = true
+      track.resolveReady({ isOk: true })
+      return
+    }
+    // The publisher does NOT have the last group anymore (ex: cache disabled), from the next one then
+    if (data.errorCode === MOQ_SUBSCRIBE_ERROR_INVALID_RANGE && track.isJoiningPrevious) {
+      track.isJoiningPrevious = false
+      await this.sendUpstreamSubscribe(track)
+      return
+    }
+    track.resolveReady({ isOk: false, errorCode: data.errorCode, reason: data.reason })
+    this.removeTrack(track, 'upstream subscribe error')
+  }
+
+  processUpstreamSubscribeDone (peer, data) {
+    const track = findUpstreamTrack(peer, data)
+    if (track === undefined) {
+      this.report(peer, 'info', `Received SUBSCRIBE_DONE for ${moqGetSubscriptionStr(data)}, but there is NOT any upstream subscription for it (already removed)`)
+      return
+    }
+    track.isUpstreamSubscribed = false
+    this.removeTrack(track, `upstream subscription done: ${data.reason}`)
+  }
+
+  // Ends all the subscriptions of the track (and the upstream subscription if the publisher is still there)
+  removeTrack (track, reason) {
+    if (this.tracks[track.key] !== track) {
+      return
+    }
+    delete this.tracks[track.key]
+    track.publisher.upstreamTracks = track.publisher.upstreamTracks.filter(t => t !== track)
+    for (const subscription of Object.values(track.subscriptions)) {
+      this.finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_TRACK_ENDED, reason)
+    }
+    track.groupCache.Clear()
+    // Subscribers still waiting for the publisher answer (no effect if it was already received)
+    track.resolveReady({ isOk: false, errorCode: MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, reason })
+    this.report(track.publisher, 'info', `Removed track ${track.key}. Reason: ${reason}`)
+
+    const publisher = track.publisher
+    if (!track.isUpstreamSubscribed || publisher.isClosed) {
+      return
+    }
+    track.isUpstreamSubscribed = false
+    moqSendUnSubscribe(publisher.moqt.controlWriter, publisher.moqt.version, track.upstreamSubscribeId, track.namespace, track.trackName)
+      .catch(err => {
+        this.report(publisher, 'warning', `Sending UNSUBSCRIBE for ${track.key}. Err: ${err.message}`)
+      })
+  }
+
+  // Subscribers
+
+  async processSubscribe (peer, subscribe) {
+    let auth = { errStr: '', claims: null }
+    if (this.authKey !== null) {
+      auth = await authTokenValidate(await this.authKey, subscribe.parameters.authInfo, AUTH_TOKEN_ROLE_SUBSCRIBER, subscribe.namespace, subscribe.trackName, Date.now())
+      if (auth.errStr !== '') {
+        this.report(peer, 'error', `Invalid subscribe authInfo for ${subscribe.namespace}/${subscribe.trackName}: ${auth.errStr}`)
+        await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, `unauthorized: ${auth.errStr}`)
+        return
+      }
+    }
+    const publisher = this.namespaces[subscribe.namespace]
+    if (publisher === undefined) {
+      this.report(peer, 'error', `Invalid subscribe received ${subscribe.namespace}/${subscribe.trackName}, namespace NOT announced`)
+      await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, 'track does not exist')
+      return
+    }
+    if (peer.moqt.version === MOQ_DRAFT03_VERSION && subscriptionFind(Object.values(peer.subscriptions), peer.moqt.version, subscribe) !== undefined) {
+      this.report(peer, 'error', `Invalid subscribe received, subscribeId ${subscribe.subscribeId} already in use`)
+      await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_INTERNAL, 'subscribeId already in use')
+      return
+    }
+
+    let track = this.tracks[getTrackKey(subscribe.namespace, subscribe.trackName)]
+    const isNewTrack = (track === undefined)
+    if (isNewTrack) {
+      track = this.createTrack(publisher, subscribe)
+    }
+    // It is NOT removed for lack of subscribers while this one waits for the publisher answer
+    track.pendingSubscribes++
+    if (isNewTrack) {
+      await this.sendUpstreamSubscribe(track)
+    }
+    const upstreamAnswer = await track.ready
+    track.pendingSubscribes--
+    if (upstreamAnswer.isOk && this.tracks[track.key] !== track) {
+      this.report(peer, 'error', `Track ${track.key} removed while subscribing`)
+      await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST, 'track does not exist')
+      return
+    }
+    if (!upstreamAnswer.isOk) {
+      this.report(peer, 'error', `Publisher rejected subscribe to ${track.key}. Code: ${upstreamAnswer.errorCode}, reason: ${upstreamAnswer.reason}`)
+      await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, upstreamAnswer.errorCode, upstreamAnswer.reason)
+      return
+    }
+    if (this.authKey === null && track.authInfo !== subscribe.parameters.authInfo) {
+      this.report(peer, 'error', `Invalid subscribe authInfo ${subscribe.parameters.authInfo} for ${track.key}`)
+      this.releaseTrackIfUnused(track)
+      await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED, 'unauthorized')
+      return
+    }
+
+    // Relative to the objects received by the relay
+    const range = moqGetAbsoluteSubscribeRange(subscribe, track.largestGroupSeq)
+    const errRangeStr = checkSubscribeRange(range, track.largestGroupSeq, track.groupCache)
+    if (errRangeStr !== '') {
+      this.report(peer, 'error', `Invalid subscribe range for ${track.key}: ${errRangeStr}. Range: ${moqToJSONString(range)}`)
+      this.releaseTrackIfUnused(track)
+      await moqSendSubscribeError(peer.moqt.controlWriter, peer.moqt.version, subscribe, MOQ_SUBSCRIBE_ERROR_INVALID_RANGE, errRangeStr)
+      return
+    }
+
+    const subscription = this.addSubscription(peer, track, subscribe, range)
+    if (auth.claims !== null) {
+      subscription.cancelAuthExpiration = authTokenScheduleExpiration(auth.claims.expMs, () => {
+        this.report(peer, 'info', `Authorization expired for ${track.key} (viewer ${auth.claims.viewerId})`)
+        this.finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_EXPIRED, 'authorization expired')
+      })
+    }
+    // Taken now, objects received from here are sent as they arrive
+    const cachedObjects = track.groupCache.GetObjectsFrom(subscription.startGroupSeq, subscription.startObjSeq).filter(obj => isInSubscriptionRange(subscription, obj.groupSeq, obj.objSeq))
+    this.report(peer, 'info', `New subscriber for track ${track.key}. Range: ${moqToJSONString(range)}, cached objects: ${cachedObjects.length}`)
+    await moqSendSubscribeResponse(peer.moqt.controlWriter, peer.moqt.version, subscription.subscribeId, track.namespace, track.trackName, subscription.trackId, 0)
+
+    for (const obj of cachedObjects) {
+      this.sendObject(subscription, obj, 'stream')
+    }
+    // The requested range could be already in the past
+    if (isSubscriptionFinished(subscription, track.largestGroupSeq, track.largestObjSeq)) {
+      this.finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, 'subscription ended')
+    }
+  }
+
+  async processUnSubscribe (peer, unsubscribe) {
+    const subscription = subscriptionFind(Object.values(peer.subscriptions), peer.moqt.version, unsubscribe)
+    if (subscription === undefined) {
+      this.report(peer, 'warning', `Received UNSUBSCRIBE for ${moqGetSubscriptionStr(unsubscribe)}, but there is NOT any subscription for it`)
+      return
+    }
+    this.removeSubscription(subscription)
+    this.report(peer, 'info', `Removed subscriber for track ${subscription.track.key}`)
+    await subscriptionSendDone(peer.moqt, subscription, MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED, 'unsubscribed')
+  }
+
+  addSubscription (peer, track, subscribe, range) {
+    // In draft-01 the relay assigns the track id of every subscription
+    const subscription = subscriptionCreate(this.subscriptionsCounter++, peer.moqt.version, subscribe, range, (peer.moqt.version === MOQ_DRAFT03_VERSION) ? undefined : peer.nextTrackId++)
+    subscription.peer = peer
+    subscription.track = track
+    peer.subscriptions[subscription.id] = subscription
+    track.subscriptions[subscription.id] = subscription
+    return subscription
+  }
+
+  removeSubscription (subscription) {
+    deleteSubscription(subscription)
+    this.releaseTrackIfUnused(subscription.track)
+  }
+
+  // Without subscribers the track is removed, so the publisher stops sending it
+  releaseTrackIfUnused (track) {
+    if (Object.keys(track.subscriptions).length <= 0 && track.pendingSubscribes <= 0) {
+      this.removeTrack(track, 'no subscribers')
+    }
+  }
+
+  finishSubscription (subscription, statusCode, reason) {
+    this.removeSubscription(subscription)
+    const peer = subscription.peer
+    if (peer.isClosed) {
+      return
+    }
+    subscriptionSendDone(peer.moqt, subscription, statusCode, reason)
+      .catch(err => {
+        this.report(peer, 'error', `Sending SUBSCRIBE_DONE for ${moqGetSubscriptionStr(subscription)}. Err: ${err.message}`)
+      })
+  }
+
+  // Objects
+
+  async receiveObjects (peer) {
+    const streamsReader = peer.moqt.session.incomingUnidirectionalStreams.getReader()
+    while (!peer.isClosed) {
+      const stream = await streamsReader.read()
+      if (stream.done) {
+        break
+      }
+      // Not awaited, a group stream stays open for the whole group
+      this.receiveObjectsFromStream(peer, new BufferedReader(stream.value), 'stream')
+        .catch(err => {
+          this.report(peer, 'error', `Dropped stream. Err: ${err.message}`)
+        })
+    }
+  }
+
+  async receiveDatagrams (peer) {
+    const datagramsReader = peer.moqt.session.datagrams.readable.getReader()
+    while (!peer.isClosed) {
+      const datagram = await datagramsReader.read()
+      if (datagram.done) {
+        break
+      }
+      try {
+        await this.receiveObjectsFromStream(peer, new BufferedReader(datagram.value), 'datagram')
+      } catch (err) {
+        this.report(peer, 'error', `Dropped datagram. Err: ${err.message}`)
+      }
+    }
+  }
+
+  // delivery: 'stream' or 'datagram', objects are forwarded using the same one
+  async receiveObjectsFromStream (peer, reader, delivery) {
+    let header = await moqParseObjectHeader(reader, peer.moqt.version)
+    while (header !== undefined) {
+      let payload
+      if (header.payloadLength === undefined) {
+        payload = await reader.ReadUntilEof()
+      } else {
+        await reader.Fill(header.payloadLength)
+        payload = reader.ReadBytes(header.payloadLength)
+      }
+      const track = findUpstreamTrackForObject(peer, header)
+      if (track === undefined) {
+        this.report(peer, 'warning', `Received object for unknown track. Header: ${moqToJSONString(header)}`)
+      } else {
+        this.forwardObject(track, { groupSeq: header.groupSeq, objSeq: header.objSeq, sendOrder: header.sendOrder, payload }, delivery)
+      }
+      if (header.payloadLength === undefined) {
+        break
+      }
+      header = await moqParseNextObjectHeader(reader, peer.moqt.version, header)
+    }
+  }
+
+  forwardObject (track, obj, delivery) {
+    // Late objects from previous groups (ex: parallel streams) are forwarded but NOT cached
+    if (obj.groupSeq >= track.largestGroupSeq) {
+      track.groupCache.AddObject(obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload)
+      if (obj.groupSeq > track.largestGroupSeq || obj.objSeq > track.largestObjSeq) {
+        track.largestGroupSeq = obj.groupSeq
+        track.largestObjSeq = obj.objSeq
+      }
+    }
+    for (const subscription of Object.values(track.subscriptions)) {
+      if (isInSubscriptionRange(subscription, obj.groupSeq, obj.objSeq)) {
+        this.sendObject(subscription, obj, delivery)
+      }
+      if (isSubscriptionFinished(subscription, track.largestGroupSeq, track.largestObjSeq)) {
+        this.finishSubscription(subscription, MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED, 'subscription ended')
+      }
+    }
+  }
+
+  sendObject (subscription, obj, delivery) {
+    subscriptionSendObject(subscription.peer.moqt, subscription, obj, delivery)
+      .catch(err => {
+        this.report(subscription.peer, 'error', `Sending object ${obj.groupSeq}/${obj.objSeq} to ${moqGetSubscriptionStr(subscription)}. Err: ${err.message}`)
+      })
+  }
+
+  // Sessions
+
+  async closePeer (peer) {
+    if (peer.isClosed) {
+      return
+    }
+    peer.isClosed = true
+    delete this.peers[peer.id]
+
+    for (const [namespace, publisher] of Object.entries(this.namespaces)) {
+      if (publisher === peer) {
+        this.removeNamespace(namespace, 'publisher session closed')
+      }
+    }
+    for (const subscription of Object.values(peer.subscriptions)) {
+      this.removeSubscription(subscription)
+    }
+    for (const track of peer.upstreamTracks) {
+      this.removeTrack(track, 'publisher session closed')
+    }
+
+    try {
+      await moqClose(peer.moqt)
+    } catch (err) {
+      // Expected if the other end already closed it
+    }
+    this.report(peer, 'info', 'Session closed')
+  }
+
+  report (peer, type, msg) {
+    this.onMessage(type, `[MOQ-RELAY] session ${peer.id}: ${msg}`)
+  }
+}
+
+function defaultOnMessage (type, msg) {
+  if (type === 'error' || type === 'warning') {
+    console.error(msg)
+  }
+}
+
+function getTrackKey (namespace, trackName) {
+  return `${namespace}/${trackName}`
+}
+
+function findUpstreamTrack (publisher, data) {
+  if (publisher.moqt.version === MOQ_DRAFT03_VERSION) {
+    return publisher.upstreamTracks.find(track => track.upstreamSubscribeId === data.subscribeId)
+  }
+  return publisher.upstreamTracks.find(track => track.namespace === data.namespace && track.trackName === data.trackName)
+}
+
+function findUpstreamTrackForObject (publisher, header) {
+  if (publisher.moqt.version === MOQ_DRAFT03_VERSION) {
+    return publisher.upstreamTracks.find(track => track.upstreamSubscribeId === header.subscribeId)
+  }
+  return publisher.upstreamTracks.find(track => track.upstreamTrackId === header.trackId)
+}
+
+function deleteSubscription (subscription) {
+  if (subscription.cancelAuthExpiration !== undefined) {
+    subscription.cancelAuthExpiration()
+  }
+  delete subscription.peer.subscriptions[subscription.id]
+  delete subscription.track.subscriptions[subscription.id]
+}
@@ -0,0 +1,117 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// Authorization tokens sent as MOQT authInfo
+// Token: base64url(JSON claims) + "." + base64url(HMAC-SHA256 of the first part), signed with a secret shared by the
+// token issuer and the validators (publisher, relay). The secret itself is never sent
+// Claims example
+/* {
+    namespace: "vc",
+    trackNamePattern: "*", // "*" matches any sequence of characters
+    role: "subscriber", // or "publisher" (ANNOUNCE)
+    expMs: 1700000000000, // Expiration, wall clock in ms
+    viewerId: "viewer-1"
+} */
+
+export const AUTH_TOKEN_ROLE_PUBLISHER = 'publisher'
+export const AUTH_TOKEN_ROLE_SUBSCRIBER = 'subscriber'
+
+// setTimeout max delay (32 bits signed), longer expirations are re-armed
+const MAX_TIMER_DELAY_MS = 0x7fffffff
+
+export async function authTokenImportKey (secret) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify'])
+}
+
+export async function authTokenCreate (key, claims) {
+  const claimsStr = base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)))
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(claimsStr))
+  return `${claimsStr}.${base64UrlEncode(new Uint8Array(signature))}`
+}
+
+// Returns the claims, throws if the token is malformed or the signature is NOT valid
+export async function authTokenVerify (key, token) {
+  const parts = (typeof token === 'string') ? token.split('.') : []
+  if (parts.length !== 2) {
+    throw new Error('token malformed')
+  }
+  const isValid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[1]), new TextEncoder().encode(parts[0]))
+  if (!isValid) {
+    throw new Error('token signature is NOT valid')
+  }
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])))
+}
+
+// Returns '' if the claims allow that role in namespace / trackName at nowMs (trackName undefined is not checked, ex: ANNOUNCE)
+export function authTokenCheckClaims (claims, role, namespace, trackName, nowMs) {
+  if (claims.role !== role) {
+    return `token role ${claims.role} is NOT ${role}`
+  }
+  if (claims.namespace !== namespace) {
+    return `token namespace ${claims.namespace} is NOT ${namespace}`
+  }
+  if (trackName !== undefined && (typeof claims.trackNamePattern !== 'string' || !isPatternMatch(claims.trackNamePattern, trackName))) {
+    return `token track name pattern ${claims.trackNamePattern} does NOT match ${trackName}`
+  }
+  if (typeof claims.expMs !== 'number' || claims.expMs <= nowMs) {
+    return 'token expired'
+  }
+  return ''
+}
+
+// Verifies the token and checks its claims, returns { errStr, claims } ('' if it is valid), it does NOT throw
+export async function authTokenValidate (key, token, role, namespace, trackName, nowMs) {
+  try {
+    const claims = await authTokenVerify(key, token)
+    return { errStr: authTokenCheckClaims(claims, role, namespace, trackName, nowMs), claims }
+  } catch (err) {
+    return { errStr: err.message, claims: null }
+  }
+}
+
+// Calls onExpired when the wall clock reaches expMs, returns a function that cancels it
+export function authTokenScheduleExpiration (expMs, onExpired) {
+  let timer = null
+  const arm = () => {
+    const delayMs = expMs - Date.now()
+    if (delayMs <= 0) {
+      timer = null
+      onExpired()
+      return
+    }
+    timer = setTimeout(arm, Math.min(delayMs, MAX_TIMER_DELAY_MS))
+  }
+  arm()
+  return () => {
+    if (timer !== null) {
+      clearTimeout(timer)
+      timer = null
+    }
+  }
+}
+
+function isPatternMatch (pattern, str) {
+  const regExpStr = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+  return new RegExp(`^${regExpStr}$`).test(str)
+}
+
+function base64UrlEncode (bytes) {
+  let str = ''
+  for (const b of bytes) {
+    str += String.fromCharCode(b)
+  }
+  return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function base64UrlDecode (str) {
+  const binStr = atob(str.replace(/-/g, '+').replace(/_/g, '/'))
+  const ret = new Uint8Array(binStr.length)
+  for (let i = 0; i < binStr.length; i++) {
+    ret[i] = binStr.charCodeAt(i)
+  }
+  return ret
+}
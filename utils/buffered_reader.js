@@ -0,0 +1,160 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { varIntFromBuffer } from './varint.js'
+import { concatBuffer } from './buffer_utils.js'
+
+// Thrown by the sync reads when the data is NOT buffered yet, Parse catches it and retries with more data
+class ShortBufferError extends Error {}
+
+// Pulls big chunks from the stream once and parses from memory synchronously
+// Use Parse to read structures without length (ex: control messages) and Fill / ReadUntilEof for payloads
+export class BufferedReader {
+  // source: ReadableStream, or Uint8Array if the data is already in memory (ex: datagram)
+  constructor (source) {
+    this.reader = null
+    this.buffer = new Uint8Array(0)
+    this.offset = 0
+    this.isDone = true
+
+    if (source instanceof Uint8Array) {
+      this.buffer = source
+    } else {
+      this.reader = source.getReader()
+      this.isDone = false
+    }
+  }
+
+  GetAvailable () {
+    return this.buffer.byteLength - this.offset
+  }
+
+  // Sync reads
+
+  // Throws if the value does NOT fit in 53 bits, use it for lengths, types, etc
+  ReadVarInt () {
+    const ret = this.ReadVarIntOrBigInt()
+    if (typeof ret === 'bigint') {
+      throw new Error(`overflow, value larger than 53-bits: ${ret}`)
+    }
+    return ret
+  }
+
+  // Returns BigInt only if the value does NOT fit in 53 bits (full 62 bits range)
+  ReadVarIntOrBigInt () {
+    const ret = varIntFromBuffer(this.buffer, this.offset)
+    if (ret === undefined) {
+      throw new ShortBufferError('short buffer reading varint')
+    }
+    this.offset += ret.size
+    return ret.value
+  }
+
+  ReadBytes (size) {
+    if (size > this.GetAvailable()) {
+      throw new ShortBufferError(`short buffer reading ${size} bytes`)
+    }
+    const ret = this.buffer.slice(this.offset, this.offset + size)
+    this.offset += size
+    return ret
+  }
+
+  // Length + UTF-8 data
+  ReadString () {
+    const size = this.ReadVarInt()
+    return new TextDecoder().decode(this.ReadBytes(size))
+  }
+
+  // Async reads
+
+  // Runs parseFn(this) (sync), if it runs out of data it waits for more and parses again from the same position
+  async Parse (parseFn) {
+    while (true) {
+      const startOffset = this.offset
+      try {
+        return parseFn(this)
+      } catch (err) {
+        if (!(err instanceof ShortBufferError)) {
+          throw err
+        }
+        this.offset = startOffset
+        if (!(await this.pull())) {
+          throw new Error(`short buffer, stream finished. ${err.message}`)
+        }
+      }
+    }
+  }
+
+  // Waits until size bytes are buffered
+  async Fill (size) {
+    const chunks = [this.buffer.subarray(this.offset)]
+    let available = this.GetAvailable()
+    while (available < size) {
+      const chunk = await this.readChunk()
+      if (chunk === undefined) {
+        throw new Error(`short buffer, stream finished. Asked ${size}, available ${available}`)
+      }
+      chunks.push(chunk)
+      available += chunk.byteLength
+    }
+    if (chunks.length > 1) {
+      this.buffer = concatBuffer(chunks)
+      this.offset = 0
+    }
+  }
+
+  async ReadUntilEof () {
+    const chunks = [this.buffer.subarray(this.offset)]
+    let chunk = await this.readChunk()
+    while (chunk !== undefined) {
+      chunks.push(chunk)
+      chunk = await this.readChunk()
+    }
+    this.buffer = new Uint8Array(0)
+    this.offset = 0
+    return concatBuffer(chunks)
+  }
+
+  // True if all the data was consumed and the stream is finished
+  async IsEof () {
+    while (this.GetAvailable() <= 0) {
+      if (!(await this.pull())) {
+        return true
+      }
+    }
+    return false
+  }
+
+  // Internal
+
+  async pull () {
+    const chunk = await this.readChunk()
+    if (chunk === undefined) {
+      return false
+    }
+    if (this.GetAvailable() <= 0) {
+      this.buffer = chunk
+    } else {
+      this.buffer = concatBuffer([this.buffer.subarray(this.offset), chunk])
+    }
+    this.offset = 0
+    return true
+  }
+
+  async readChunk () {
+    if (this.isDone) {
+      return undefined
+    }
+    const { value, done } = await this.reader.read()
+    if (done) {
+      this.isDone = true
+      this.reader.releaseLock()
+      return undefined
+    }
+    return value
+  }
+}
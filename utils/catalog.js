@@ -0,0 +1,103 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { initTrackGetType } from './init_track.js'
+
+// JSON catalog published in its own track of every namespace, based on draft-wilaw-moq-catalogformat
+// Every catalog update is a new group with the full catalog in one object (no deltas)
+// Example
+/* {
+    version: 1,
+    namespace: "vc",
+    tracks: [
+      {
+        name: "aaa/video",
+        mediaType: "video",
+        packaging: "loc",
+        renderGroup: 1,
+        initTrack: "aaa/video.init",
+        selectionParams: { codec: "avc1.42001f", width: 1280, height: 720, framerate: 30, bitrate: 1500000 }
+      },
+      {
+        name: "aaa/audio",
+        mediaType: "audio",
+        packaging: "loc",
+        renderGroup: 1,
+        initTrack: "aaa/audio.init",
+        selectionParams: { codec: "opus", samplerate: 48000, channelConfig: "1", bitrate: 32000 }
+      }
+    ]
+} */
+// initTrack: track with the decoder configs of the media track (see utils/init_track.js), only if the publisher has it
+
+export const MOQ_CATALOG_VERSION = 1
+export const MOQ_CATALOG_TRACK_NAME_DEFAULT = 'catalog'
+
+// Media tracks use LOC (our variation by default, or the LOC draft with header extensions) or CMAF, data tracks are sent as they are
+export const MOQ_CATALOG_PACKAGING_LOC = 'loc'
+export const MOQ_CATALOG_PACKAGING_LOC_EXT = 'loc-ext'
+export const MOQ_CATALOG_PACKAGING_CMAF = 'cmaf'
+export const MOQ_CATALOG_PACKAGING_RAW = 'raw'
+
+const RENDER_GROUP_DEFAULT = 1
+
+// tracks: moqTracks of the publisher (by type), only the ones in namespace are added
+export function catalogCreate (namespace, tracks) {
+  const catalog = { version: MOQ_CATALOG_VERSION, namespace, tracks: [] }
+  for (const [trackType, track] of Object.entries(tracks)) {
+    if (track.namespace !== namespace || track.isCatalog === true || track.isInit === true) {
+      continue
+    }
+    const catalogTrack = {
+      name: track.name,
+      mediaType: trackType,
+      packaging: ('packaging' in track) ? track.packaging : ((trackType === 'data') ? MOQ_CATALOG_PACKAGING_RAW : MOQ_CATALOG_PACKAGING_LOC),
+      renderGroup: ('renderGroup' in track) ? track.renderGroup : RENDER_GROUP_DEFAULT,
+      selectionParams: ('selectionParams' in track) ? track.selectionParams : {}
+    }
+    const initTrack = tracks[initTrackGetType(trackType)]
+    if (initTrack !== undefined) {
+      catalogTrack.initTrack = initTrack.name
+    }
+    catalog.tracks.push(catalogTrack)
+  }
+  return catalog
+}
+
+export function catalogParse (str) {
+  const catalog = JSON.parse(str)
+  if (catalog.version !== MOQ_CATALOG_VERSION) {
+    throw new Error(`Catalog version NOT supported, supported ${MOQ_CATALOG_VERSION}, got ${catalog.version}`)
+  }
+  if (typeof catalog.namespace !== 'string' || !Array.isArray(catalog.tracks)) {
+    throw new Error('Catalog malformed, needs to contain namespace and tracks')
+  }
+  for (const track of catalog.tracks) {
+    if (typeof track.name !== 'string' || typeof track.mediaType !== 'string') {
+      throw new Error(`Catalog track malformed, needs to contain name and mediaType, got ${JSON.stringify(track)}`)
+    }
+  }
+  return catalog
+}
+
+// Returns the first catalog track of each of the mediaTypes, preferring the ones that render together (same renderGroup)
+export function catalogSelectTracks (catalog, mediaTypes) {
+  const ret = {}
+  const candidates = catalog.tracks.filter(track => mediaTypes.includes(track.mediaType))
+  if (candidates.length <= 0) {
+    return ret
+  }
+  const renderGroup = candidates[0].renderGroup
+  for (const mediaType of mediaTypes) {
+    const tracksForType = candidates.filter(track => track.mediaType === mediaType)
+    const selected = tracksForType.find(track => track.renderGroup === renderGroup) || tracksForType[0]
+    if (selected !== undefined) {
+      ret[mediaType] = selected
+    }
+  }
+  return ret
+}
@@ -0,0 +1,56 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// Keeps the objects of the last maxGroups groups of a track (every group starts with a keyframe)
+export class GroupCache {
+  constructor (maxGroups) {
+    this.maxGroups = maxGroups
+    this.groups = []
+  }
+
+  AddObject (groupSeq, objSeq, sendOrder, payload) {
+    if (this.maxGroups <= 0) {
+      return
+    }
+    let group = this.groups.length > 0 ? this.groups[this.groups.length - 1] : undefined
+    if (group === undefined || group.groupSeq !== groupSeq) {
+      group = { groupSeq, objects: [] }
+      this.groups.push(group)
+      while (this.groups.length > this.maxGroups) {
+        this.groups.shift()
+      }
+    }
+    group.objects.push({ groupSeq, objSeq, sendOrder, payload })
+  }
+
+  // Returns the cached objects from (groupSeq, objSeq) in send order
+  GetObjectsFrom (groupSeq, objSeq) {
+    const ret = []
+    for (const group of this.groups) {
+      if (group.groupSeq < groupSeq) {
+        continue
+      }
+      for (const obj of group.objects) {
+        if (group.groupSeq > groupSeq || obj.objSeq >= objSeq) {
+          ret.push(obj)
+        }
+      }
+    }
+    return ret
+  }
+
+  GetOldestGroupSeq () {
+    if (this.groups.length <= 0) {
+      return -1
+    }
+    return this.groups[0].groupSeq
+  }
+
+  Clear () {
+    this.groups = []
+  }
+}
@@ -0,0 +1,25 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// Every media track (audio, video) has an init track with its decoder configs (see packager/decoder_config_packager.js),
+// published in the catalog (initTrack). Every config is a new group and the last one is always cached,
+// so subscribers join it with RELATIVE_PREVIOUS 0 and get the config once
+export const MOQ_INIT_TRACK_NAME_SUFFIX = '.init'
+
+const INIT_TRACK_MEDIA_TYPES = ['audio', 'video']
+
+export function initTrackIsNeeded (trackType, track) {
+  return INIT_TRACK_MEDIA_TYPES.includes(trackType) && track.isCatalog !== true && track.isInit !== true
+}
+
+export function initTrackGetType (trackType) {
+  return `init-${trackType}`
+}
+
+export function initTrackGetName (trackName) {
+  return `${trackName}${MOQ_INIT_TRACK_NAME_SUFFIX}`
+}
@@ -5,15 +5,22 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
-import { numberToVarInt, varIntToNumber } from './varint.js'
-import { concatBuffer, buffRead } from './buffer_utils.js'
+import { numberToVarInt, numberOrBigInt } from './varint.js'
+import { concatBuffer } from './buffer_utils.js'
+import { BufferedReader } from './buffered_reader.js'
 
 // MOQ definitions
 // https://datatracker.ietf.org/doc/draft-ietf-moq-transport/
 export const MOQ_DRAFT01_VERSION = 0xff000001
-export const MOQ_SUPPORTED_VERSIONS = [MOQ_DRAFT01_VERSION]
+export const MOQ_DRAFT03_VERSION = 0xff000003
+// Ordered by preference, that is the order we offer them in CLIENT_SETUP
+export const MOQ_SUPPORTED_VERSIONS = [MOQ_DRAFT03_VERSION, MOQ_DRAFT01_VERSION]
+// Versions that define SUBSCRIBE_NAMESPACE (draft-06 and later), none of the supported ones does. A conformant peer closes
+// the session on an unknown control message, so it is only sent if the negotiated version is here
+export const MOQ_SUBSCRIBE_NAMESPACE_VERSIONS = []
 
 export const MOQ_PARAMETER_ROLE = 0x0
+export const MOQ_PARAMETER_PATH = 0x1
 export const MOQ_PARAMETER_AUTHORIZATION_INFO = 0x2
 
 export const MOQ_MAX_PARAMS = 256
@@ -31,22 +38,71 @@ export const MOQ_LOCATION_MODE_RELATIVE_PREVIOUS = 0x2
 export const MOQ_LOCATION_MODE_RELATIVE_NEXT = 0x3
 
 // MOQ messages
+// draft-01 objects
 const MOQ_MESSAGE_OBJECT = 0x0
 const MOQ_MESSAGE_OBJECT_WITH_LENGTH = 0x2
+// draft-03 objects (stream header types)
+const MOQ_MESSAGE_OBJECT_STREAM = 0x0
+const MOQ_MESSAGE_OBJECT_DATAGRAM = 0x1
+// const MOQ_MESSAGE_STREAM_HEADER_TRACK = 0x50
+const MOQ_MESSAGE_STREAM_HEADER_GROUP = 0x51
+
 const MOQ_MESSAGE_CLIENT_SETUP = 0x40
 const MOQ_MESSAGE_SERVER_SETUP = 0x41
 
-const MOQ_MESSAGE_SUBSCRIBE = 0x3
-const MOQ_MESSAGE_SUBSCRIBE_OK = 0x4
-
-const MOQ_MESSAGE_ANNOUNCE = 0x6
-const MOQ_MESSAGE_ANNOUNCE_OK = 0x7
-// const MOQ_MESSAGE_ANNOUNCE_ERROR = 0x8
-// const MOQ_MESSAGE_UNANNOUNCE = 0x9
+// Control messages (returned by moqParseControlMessage)
+export const MOQ_MESSAGE_SUBSCRIBE = 0x3
+export const MOQ_MESSAGE_SUBSCRIBE_OK = 0x4
+export const MOQ_MESSAGE_SUBSCRIBE_ERROR = 0x5
+
+export const MOQ_MESSAGE_ANNOUNCE = 0x6
+export const MOQ_MESSAGE_ANNOUNCE_OK = 0x7
+export const MOQ_MESSAGE_ANNOUNCE_ERROR = 0x8
+export const MOQ_MESSAGE_UNANNOUNCE = 0x9
+
+export const MOQ_MESSAGE_UNSUBSCRIBE = 0xa
+// In draft-01 SUBSCRIBE_DONE is split in SUBSCRIBE_FIN (same type than SUBSCRIBE_DONE) and SUBSCRIBE_RST
+export const MOQ_MESSAGE_SUBSCRIBE_DONE = 0xb
+const MOQ_MESSAGE_SUBSCRIBE_RST_DRAFT01 = 0xc
+
+// Namespace discovery, from draft-06 (namespaces are still strings here, the prefix matches the start of the string)
+// The relay answers with the ANNOUNCE / UNANNOUNCE of the matching namespaces (current and future)
+export const MOQ_MESSAGE_SUBSCRIBE_NAMESPACE = 0x11
+export const MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_OK = 0x12
+export const MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_ERROR = 0x13
+export const MOQ_MESSAGE_UNSUBSCRIBE_NAMESPACE = 0x14
+
+// SUBSCRIBE_ERROR codes
+export const MOQ_SUBSCRIBE_ERROR_INTERNAL = 0x0
+export const MOQ_SUBSCRIBE_ERROR_INVALID_RANGE = 0x1
+export const MOQ_SUBSCRIBE_ERROR_RETRY_TRACK_ALIAS = 0x2
+export const MOQ_SUBSCRIBE_ERROR_TRACK_NOT_EXIST = 0x3
+export const MOQ_SUBSCRIBE_ERROR_UNAUTHORIZED = 0x4
+
+// SUBSCRIBE_DONE status codes
+export const MOQ_SUBSCRIBE_DONE_UNSUBSCRIBED = 0x0
+export const MOQ_SUBSCRIBE_DONE_INTERNAL_ERROR = 0x1
+export const MOQ_SUBSCRIBE_DONE_UNAUTHORIZED = 0x2
+export const MOQ_SUBSCRIBE_DONE_TRACK_ENDED = 0x3
+export const MOQ_SUBSCRIBE_DONE_SUBSCRIPTION_ENDED = 0x4
+export const MOQ_SUBSCRIBE_DONE_GOING_AWAY = 0x5
+export const MOQ_SUBSCRIBE_DONE_EXPIRED = 0x6
+
+// ANNOUNCE_ERROR codes
+export const MOQ_ANNOUNCE_ERROR_INTERNAL = 0x0
+export const MOQ_ANNOUNCE_ERROR_UNAUTHORIZED = 0x1
+
+// SUBSCRIBE_NAMESPACE_ERROR codes
+export const MOQ_SUBSCRIBE_NAMESPACE_ERROR_INTERNAL = 0x0
+export const MOQ_SUBSCRIBE_NAMESPACE_ERROR_UNAUTHORIZED = 0x1
 
 export function moqCreate () {
   return {
-    wt: null,
+    // Transport session, see utils/transport.js (ex: WebTransport)
+    session: null,
+
+    // Negotiated in SETUP
+    version: MOQ_DRAFT01_VERSION,
 
     controlStream: null,
     controlWriter: null,
@@ -54,35 +110,44 @@ export function moqCreate () {
   }
 }
 
+// The references are always released, so a new session can be created even if closing the lost one fails
 export async function moqClose (moqt) {
-  if (moqt.controlWriter != null) {
-    await moqt.controlWriter.close()
-    moqt.controlWriter = null
-  }
-  if (moqt.wt != null) {
-    await moqt.wt.close()
-    moqt.wt = null
+  const controlWriter = moqt.controlWriter
+  const session = moqt.session
+  moqt.controlStream = null
+  moqt.controlWriter = null
+  moqt.controlReader = null
+  moqt.session = null
+  try {
+    if (controlWriter != null) {
+      await controlWriter.close()
+    }
+  } finally {
+    if (session != null) {
+      await session.close()
+    }
   }
 }
 
 // MOQ control stream
 
 export async function moqCreateControlStream (moqt) {
-  if (moqt.wt === null) {
-    throw new Error('WT session is NULL when we tried to create MOQ')
+  if (moqt.session === null) {
+    throw new Error('Transport session is NULL when we tried to create MOQ')
   }
   if (moqt.controlReader != null || moqt.controlWriter != null) {
     throw new Error('controlReader OR controlWriter are NOT null this indicates there are some dirt from previous sessions when we tried to create MOQ')
   }
 
-  moqt.controlStream = await moqt.wt.createBidirectionalStream()
+  moqt.controlStream = await moqt.session.createBidirectionalStream()
   moqt.controlWriter = moqt.controlStream.writable
-  moqt.controlReader = moqt.controlStream.readable
+  // All the parsers read from a BufferedReader
+  moqt.controlReader = new BufferedReader(moqt.controlStream.readable)
 }
 
 // SETUP
 
-function moqCreateSetupMessageBytes (moqIntRole) {
+function moqCreateSetupMessageBytes (moqIntRole, versions) {
   // TODO moqBug: In the draft the use of varint is NOT clear AT ALL
   // TODO moqBug: Should we have a SETUP error
   // TODO moqComment: Adding a examples would be great: Coding and call flow
@@ -90,9 +155,9 @@ function moqCreateSetupMessageBytes (moqIntRole) {
   // Message type
   const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_CLIENT_SETUP)
   // Version length
-  const versionLengthBytes = numberToVarInt(1)
-  // Version[0]
-  const versionBytes = numberToVarInt(MOQ_DRAFT01_VERSION)
+  const versionLengthBytes = numberToVarInt(versions.length)
+  // Versions (same encoding in all supported drafts)
+  const versionBytes = concatBuffer(versions.map(version => numberToVarInt(version)))
   // Number of parameters
   const numberOfParamsBytes = numberToVarInt(1)
   // param[0]: Role-Publisher
@@ -105,26 +170,81 @@ function moqCreateSetupMessageBytes (moqIntRole) {
   return concatBuffer([messageTypeBytes, versionLengthBytes, versionBytes, numberOfParamsBytes, roleParamIdBytes, roleParamRoleLengthBytes, roleParamDataBytes])
 }
 
-export async function moqSendSetup (writerStream, moqIntRole) {
-  return moqSend(writerStream, moqCreateSetupMessageBytes(moqIntRole))
+export async function moqSendSetup (writerStream, moqIntRole, versions) {
+  const offeredVersions = (versions === undefined || versions.length <= 0) ? MOQ_SUPPORTED_VERSIONS : versions
+  for (const version of offeredVersions) {
+    if (!MOQ_SUPPORTED_VERSIONS.includes(version)) {
+      throw new Error(`version NOT supported. Supported versions ${JSON.stringify(MOQ_SUPPORTED_VERSIONS)}, got ${version}`)
+    }
+  }
+  return moqSend(writerStream, moqCreateSetupMessageBytes(moqIntRole, offeredVersions))
 }
 
-export async function moqParseSetupResponse (readerStream) {
+// The server selects one of the offered versions, from now on all messages follow that version
+export async function moqParseSetupResponse (reader, versions) {
+  return reader.Parse(r => moqParseSetupResponseMessage(r, versions))
+}
+
+function moqParseSetupResponseMessage (r, versions) {
+  const offeredVersions = (versions === undefined || versions.length <= 0) ? MOQ_SUPPORTED_VERSIONS : versions
   const ret = { version: 0, parameters: null }
-  const type = await varIntToNumber(readerStream)
+  const type = r.ReadVarInt()
   if (type !== MOQ_MESSAGE_SERVER_SETUP) {
     throw new Error(`SETUP answer type must be ${MOQ_MESSAGE_SERVER_SETUP}, got ${type}`)
   }
-  ret.version = await varIntToNumber(readerStream)
-  if (!MOQ_SUPPORTED_VERSIONS.includes(ret.version)) {
-    throw new Error(`version sent from server NOT supported. Supported versions ${JSON.stringify(MOQ_SUPPORTED_VERSIONS)}, got from server ${JSON.stringify(MOQ_SUPPORTED_VERSIONS)}`)
+  ret.version = r.ReadVarInt()
+  if (!offeredVersions.includes(ret.version)) {
+    throw new Error(`version sent from server NOT offered. Offered versions ${JSON.stringify(offeredVersions)}, got from server ${JSON.stringify(ret.version)}`)
   }
 
-  ret.parameters = await mpqReadParameters(readerStream)
+  ret.parameters = mpqReadParameters(r)
 
   return ret
 }
 
+// Server side (ex: relay), parses CLIENT_SETUP
+export async function moqParseSetup (reader) {
+  return reader.Parse(r => {
+    const type = r.ReadVarInt()
+    if (type !== MOQ_MESSAGE_CLIENT_SETUP) {
+      throw new Error(`SETUP type must be ${MOQ_MESSAGE_CLIENT_SETUP}, got ${type}`)
+    }
+    const numVersions = r.ReadVarInt()
+    if (numVersions > MOQ_MAX_ARRAY_LENGTH) {
+      throw new Error(`exceeded the max number of supported versions ${MOQ_MAX_ARRAY_LENGTH}, got ${numVersions}`)
+    }
+    const versions = []
+    for (let i = 0; i < numVersions; i++) {
+      versions.push(r.ReadVarInt())
+    }
+    const parameters = mpqReadParameters(r)
+    return { versions, parameters }
+  })
+}
+
+function moqCreateSetupResponseMessageBytes (version, moqIntRole) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SERVER_SETUP)
+  // Selected version
+  const versionBytes = numberToVarInt(version)
+  // Number of parameters
+  const numberOfParamsBytes = numberToVarInt(1)
+  // param[0]: Role
+  const roleParamIdBytes = numberToVarInt(MOQ_PARAMETER_ROLE)
+  const roleParamDataBytes = numberToVarInt(moqIntRole)
+  const roleParamRoleLengthBytes = numberToVarInt(roleParamDataBytes.byteLength)
+
+  return concatBuffer([messageTypeBytes, versionBytes, numberOfParamsBytes, roleParamIdBytes, roleParamRoleLengthBytes, roleParamDataBytes])
+}
+
+// Server side, version is one of the versions offered in CLIENT_SETUP
+export async function moqSendSetupResponse (writerStream, version, moqIntRole) {
+  if (!MOQ_SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`version NOT supported. Supported versions ${JSON.stringify(MOQ_SUPPORTED_VERSIONS)}, got ${version}`)
+  }
+  return moqSend(writerStream, moqCreateSetupResponseMessageBytes(version, moqIntRole))
+}
+
 // ANNOUNCE
 
 function moqCreateAnnounceMessageBytes (namespace, authInfo) {
@@ -134,6 +254,11 @@ function moqCreateAnnounceMessageBytes (namespace, authInfo) {
   // Namespace
   const namespaceBytes = moqCreateStringBytes(namespace)
 
+  // Relays forward ANNOUNCE to namespace subscribers without the publisher auth info
+  if (authInfo === undefined) {
+    return concatBuffer([messageTypeBytes, namespaceBytes, numberToVarInt(0)])
+  }
+
   // Number of parameters
   const numberOfParamsBytes = numberToVarInt(1)
 
@@ -150,41 +275,251 @@ export async function moqSendAnnounce (writerStream, namespace, authInfo) {
   return moqSend(writerStream, moqCreateAnnounceMessageBytes(namespace, authInfo))
 }
 
-export async function moqParseAnnounceResponse (readerStream) {
-  const type = await varIntToNumber(readerStream)
-  if (type !== MOQ_MESSAGE_ANNOUNCE_OK) {
-    throw new Error(`ANNOUNCE answer type must be ${MOQ_MESSAGE_ANNOUNCE_OK}, got ${type}`)
+export async function moqParseAnnounceResponse (reader, version) {
+  const msg = await moqParseControlMessage(reader, version)
+  if (msg.type === MOQ_MESSAGE_ANNOUNCE_ERROR) {
+    throw new Error(`ANNOUNCE rejected for ${msg.data.namespace}. Code: ${msg.data.errorCode}, reason: ${msg.data.reason}`)
   }
+  if (msg.type !== MOQ_MESSAGE_ANNOUNCE_OK) {
+    throw new Error(`ANNOUNCE answer type must be ${MOQ_MESSAGE_ANNOUNCE_OK}, got ${msg.type}`)
+  }
+  return msg.data
+}
+
+function moqParseAnnounceBody (r) {
+  // Track namespace
+  const namespace = r.ReadString()
+  // Parameters (ex: auth info)
+  const parameters = mpqReadParameters(r)
+
+  return { namespace, parameters }
+}
+
+function moqCreateAnnounceOkMessageBytes (namespace) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_ANNOUNCE_OK)
+  // Track namespace
+  const namespaceBytes = moqCreateStringBytes(namespace)
+
+  return concatBuffer([messageTypeBytes, namespaceBytes])
+}
+
+export async function moqSendAnnounceOk (writerStream, namespace) {
+  return moqSend(writerStream, moqCreateAnnounceOkMessageBytes(namespace))
+}
+
+function moqParseAnnounceResponseBody (r) {
+  // Track namespace
+  const namespace = r.ReadString()
+
+  return { namespace }
+}
+
+function moqCreateAnnounceErrorMessageBytes (namespace, errorCode, reason) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_ANNOUNCE_ERROR)
+  // Track namespace
+  const namespaceBytes = moqCreateStringBytes(namespace)
+  // Error code
+  const errorCodeBytes = numberToVarInt(errorCode)
+  // Reason phrase
+  const reasonBytes = moqCreateStringBytes(reason)
+
+  return concatBuffer([messageTypeBytes, namespaceBytes, errorCodeBytes, reasonBytes])
+}
+
+export async function moqSendAnnounceError (writerStream, namespace, errorCode, reason) {
+  return moqSend(writerStream, moqCreateAnnounceErrorMessageBytes(namespace, errorCode, reason))
+}
+
+function moqParseAnnounceErrorBody (r) {
+  // Track namespace
+  const namespace = r.ReadString()
+  // Error code
+  const errorCode = r.ReadVarInt()
+  // Reason phrase
+  const reason = r.ReadString()
+
+  return { namespace, errorCode, reason }
+}
+
+// UNANNOUNCE
+
+function moqCreateUnAnnounceMessageBytes (namespace) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_UNANNOUNCE)
+  // Track namespace
+  const namespaceBytes = moqCreateStringBytes(namespace)
+
+  return concatBuffer([messageTypeBytes, namespaceBytes])
+}
+
+export async function moqSendUnAnnounce (writerStream, namespace) {
+  return moqSend(writerStream, moqCreateUnAnnounceMessageBytes(namespace))
+}
 
+function moqParseUnAnnounceBody (r) {
   // Track namespace
-  const namespace = await moqStringRead(readerStream)
+  const namespace = r.ReadString()
 
   return { namespace }
 }
 
+// SUBSCRIBE_NAMESPACE
+
+function moqCreateSubscribeNamespaceMessageBytes (namespacePrefix, authInfo) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_NAMESPACE)
+  // Track namespace prefix
+  const namespacePrefixBytes = moqCreateStringBytes(namespacePrefix)
+
+  // Number of parameters
+  const numberOfParamsBytes = numberToVarInt(1)
+  // param[0]: authinfo
+  const authInfoIdBytes = numberToVarInt(MOQ_PARAMETER_AUTHORIZATION_INFO)
+  // param[0]: authinfo value
+  const authInfoBytes = moqCreateStringBytes(authInfo)
+
+  return concatBuffer([messageTypeBytes, namespacePrefixBytes, numberOfParamsBytes, authInfoIdBytes, authInfoBytes])
+}
+
+export function moqIsSubscribeNamespaceSupported (version) {
+  return MOQ_SUBSCRIBE_NAMESPACE_VERSIONS.includes(version)
+}
+
+export async function moqSendSubscribeNamespace (writerStream, version, namespacePrefix, authInfo) {
+  if (!moqIsSubscribeNamespaceSupported(version)) {
+    throw new Error(`SUBSCRIBE_NAMESPACE is NOT defined in version ${version}`)
+  }
+  return moqSend(writerStream, moqCreateSubscribeNamespaceMessageBytes(namespacePrefix, authInfo))
+}
+
+export async function moqParseSubscribeNamespaceResponse (reader, version) {
+  const msg = await moqParseControlMessage(reader, version)
+  if (msg.type === MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_ERROR) {
+    throw new Error(`SUBSCRIBE_NAMESPACE rejected for ${msg.data.namespacePrefix}. Code: ${msg.data.errorCode}, reason: ${msg.data.reason}`)
+  }
+  if (msg.type !== MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_OK) {
+    throw new Error(`SUBSCRIBE_NAMESPACE answer type must be ${MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_OK}, got ${msg.type}`)
+  }
+  return msg.data
+}
+
+function moqParseSubscribeNamespaceBody (r) {
+  // Track namespace prefix
+  const namespacePrefix = r.ReadString()
+  // Parameters (ex: auth info)
+  const parameters = mpqReadParameters(r)
+
+  return { namespacePrefix, parameters }
+}
+
+function moqCreateSubscribeNamespaceOkMessageBytes (namespacePrefix) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_OK)
+  // Track namespace prefix
+  const namespacePrefixBytes = moqCreateStringBytes(namespacePrefix)
+
+  return concatBuffer([messageTypeBytes, namespacePrefixBytes])
+}
+
+export async function moqSendSubscribeNamespaceOk (writerStream, namespacePrefix) {
+  return moqSend(writerStream, moqCreateSubscribeNamespaceOkMessageBytes(namespacePrefix))
+}
+
+function moqParseSubscribeNamespaceOkBody (r) {
+  // Track namespace prefix
+  const namespacePrefix = r.ReadString()
+
+  return { namespacePrefix }
+}
+
+function moqCreateSubscribeNamespaceErrorMessageBytes (namespacePrefix, errorCode, reason) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_ERROR)
+  // Track namespace prefix
+  const namespacePrefixBytes = moqCreateStringBytes(namespacePrefix)
+  // Error code
+  const errorCodeBytes = numberToVarInt(errorCode)
+  // Reason phrase
+  const reasonBytes = moqCreateStringBytes(reason)
+
+  return concatBuffer([messageTypeBytes, namespacePrefixBytes, errorCodeBytes, reasonBytes])
+}
+
+export async function moqSendSubscribeNamespaceError (writerStream, namespacePrefix, errorCode, reason) {
+  return moqSend(writerStream, moqCreateSubscribeNamespaceErrorMessageBytes(namespacePrefix, errorCode, reason))
+}
+
+function moqParseSubscribeNamespaceErrorBody (r) {
+  // Track namespace prefix
+  const namespacePrefix = r.ReadString()
+  // Error code
+  const errorCode = r.ReadVarInt()
+  // Reason phrase
+  const reason = r.ReadString()
+
+  return { namespacePrefix, errorCode, reason }
+}
+
+function moqCreateUnSubscribeNamespaceMessageBytes (namespacePrefix) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_UNSUBSCRIBE_NAMESPACE)
+  // Track namespace prefix
+  const namespacePrefixBytes = moqCreateStringBytes(namespacePrefix)
+
+  return concatBuffer([messageTypeBytes, namespacePrefixBytes])
+}
+
+export async function moqSendUnSubscribeNamespace (writerStream, version, namespacePrefix) {
+  if (!moqIsSubscribeNamespaceSupported(version)) {
+    throw new Error(`UNSUBSCRIBE_NAMESPACE is NOT defined in version ${version}`)
+  }
+  return moqSend(writerStream, moqCreateUnSubscribeNamespaceMessageBytes(namespacePrefix))
+}
+
+function moqParseUnSubscribeNamespaceBody (r) {
+  // Track namespace prefix
+  const namespacePrefix = r.ReadString()
+
+  return { namespacePrefix }
+}
+
+export function moqIsNamespaceInPrefix (namespace, namespacePrefix) {
+  return namespace.startsWith(namespacePrefix)
+}
+
 // SUBSCRIBE
-// Always subscribe from start next group
+// By default subscribe from start next group, open ended
 
-function moqCreateSubscribeMessageBytes (trackNamespace, trackName, authInfo) {
+function moqCreateSubscribeMessageBytes (version, subscribeId, trackAlias, trackNamespace, trackName, authInfo, locations) {
   // Message type
   const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE)
 
+  let subscribeIdBytes
+  let trackAliasBytes
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Subscribe Id
+    subscribeIdBytes = numberToVarInt(subscribeId)
+    // Track alias (used in the objects instead of the full track name)
+    trackAliasBytes = numberToVarInt(trackAlias)
+  }
+
   // Track namespace
   const trackNamespaceBytes = moqCreateStringBytes(trackNamespace)
 
   // Track name
   const trackNameBytes = moqCreateStringBytes(trackName)
 
+  const loc = (locations === undefined) ? {} : locations
   // Start group
-  const startGroupBytesMode = numberToVarInt(MOQ_LOCATION_MODE_RELATIVE_NEXT)
-  const startGroupBytesValue = numberToVarInt(0)
+  const startGroupBytes = moqCreateLocationBytes(loc.startGroup || { mode: MOQ_LOCATION_MODE_RELATIVE_NEXT, value: 0 })
   // Start object
-  const startObjectBytesMode = numberToVarInt(MOQ_LOCATION_MODE_ABSOLUTE)
-  const startObjectBytesValue = numberToVarInt(0)
+  const startObjectBytes = moqCreateLocationBytes(loc.startObject || { mode: MOQ_LOCATION_MODE_ABSOLUTE, value: 0 })
   // End group
-  const endGroupBytesMode = numberToVarInt(MOQ_LOCATION_MODE_NONE)
+  const endGroupBytes = moqCreateLocationBytes(loc.endGroup || { mode: MOQ_LOCATION_MODE_NONE })
   // End object
-  const endObjectBytesMode = numberToVarInt(MOQ_LOCATION_MODE_NONE)
+  const endObjectBytes = moqCreateLocationBytes(loc.endObject || { mode: MOQ_LOCATION_MODE_NONE })
 
   // Params
   // Number of parameters
@@ -194,13 +529,24 @@ function moqCreateSubscribeMessageBytes (trackNamespace, trackName, authInfo) {
   // param[0]: length + auth info
   const authInfoBytes = moqCreateStringBytes(authInfo)
 
-  return concatBuffer([messageTypeBytes, trackNamespaceBytes, trackNameBytes, startGroupBytesMode, startGroupBytesValue, startObjectBytesMode, startObjectBytesValue, endGroupBytesMode, endObjectBytesMode, numberOfParamsBytes, authInfoParamIdBytes, authInfoBytes])
+  return concatBuffer([messageTypeBytes, subscribeIdBytes, trackAliasBytes, trackNamespaceBytes, trackNameBytes, startGroupBytes, startObjectBytes, endGroupBytes, endObjectBytes, numberOfParamsBytes, authInfoParamIdBytes, authInfoBytes])
 }
 
-function moqCreateSubscribeResponseMessageBytes (namespace, trackName, trackId, expiresMs) {
+function moqCreateSubscribeResponseMessageBytes (version, subscribeId, namespace, trackName, trackId, expiresMs) {
   // Message type
   const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_OK)
 
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Subscribe Id
+    const subscribeIdBytes = numberToVarInt(subscribeId)
+    // Expires MS
+    const expiresMsBytes = numberToVarInt(expiresMs)
+    // Content exists (we do NOT report largest group / object)
+    const contentExistsBytes = numberToVarInt(0)
+
+    return concatBuffer([messageTypeBytes, subscribeIdBytes, expiresMsBytes, contentExistsBytes])
+  }
+
   // Track namespace
   const trackNamespaceBytes = moqCreateStringBytes(namespace)
   // Track name
@@ -213,83 +559,347 @@ function moqCreateSubscribeResponseMessageBytes (namespace, trackName, trackId,
   return concatBuffer([messageTypeBytes, trackNamespaceBytes, trackNameBytes, trackIdBytes, expiresMsBytes])
 }
 
-export async function moqSendSubscribe (writerStream, trackNamespace, trackName, authInfo) {
-  return moqSend(writerStream, moqCreateSubscribeMessageBytes(trackNamespace, trackName, authInfo))
+// subscribeId and trackAlias are only sent in draft-03, in draft-01 the publisher assigns the trackId
+// locations (optional): {startGroup, startObject, endGroup, endObject}, each one {mode, value}
+export async function moqSendSubscribe (writerStream, version, subscribeId, trackAlias, trackNamespace, trackName, authInfo, locations) {
+  return moqSend(writerStream, moqCreateSubscribeMessageBytes(version, subscribeId, trackAlias, trackNamespace, trackName, authInfo, locations))
+}
+
+export async function moqParseSubscribeResponse (reader, version) {
+  const msg = await moqParseControlMessage(reader, version)
+  if (msg.type === MOQ_MESSAGE_SUBSCRIBE_ERROR) {
+    throw new Error(`SUBSCRIBE rejected for ${moqGetSubscriptionStr(msg.data)}. Code: ${msg.data.errorCode}, reason: ${msg.data.reason}`)
+  }
+  if (msg.type !== MOQ_MESSAGE_SUBSCRIBE_OK) {
+    throw new Error(`SUBSCRIBE answer type must be ${MOQ_MESSAGE_SUBSCRIBE_OK}, got ${msg.type}`)
+  }
+  return msg.data
 }
 
-export async function moqParseSubscribeResponse (readerStream) {
-  const ret = { namespace: '', trackName: '', trackId: -1, expires: -1 }
-  const type = await varIntToNumber(readerStream)
-  if (type !== MOQ_MESSAGE_SUBSCRIBE_OK) {
-    throw new Error(`SUBSCRIBE answer type must be ${MOQ_MESSAGE_SUBSCRIBE_OK}, got ${type}`)
+function moqParseSubscribeResponseBody (r, version) {
+  const ret = { subscribeId: -1, namespace: '', trackName: '', trackId: -1, expires: -1 }
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Subscribe Id
+    ret.subscribeId = r.ReadVarIntOrBigInt()
+    // Expires
+    ret.expires = r.ReadVarInt()
+    // Content exists
+    const contentExists = r.ReadVarInt()
+    if (contentExists > 0) {
+      ret.largestGroupId = r.ReadVarIntOrBigInt()
+      ret.largestObjectId = r.ReadVarIntOrBigInt()
+    }
+    return ret
   }
 
   // Track namespace
-  ret.namespace = await moqStringRead(readerStream)
+  ret.namespace = r.ReadString()
   // Track name
-  ret.trackName = await moqStringRead(readerStream)
+  ret.trackName = r.ReadString()
   // Track Id
-  ret.trackId = await varIntToNumber(readerStream)
+  ret.trackId = r.ReadVarIntOrBigInt()
   // Expires
-  ret.expires = await varIntToNumber(readerStream)
+  ret.expires = r.ReadVarInt()
 
   return ret
 }
 
-export async function moqParseSubscribe (readerStream) {
-  const ret = { namespace: '', trackName: '', startGroup: -1, startObject: -1, endGroup: -1, endObject: -1, parameters: null }
-  const type = await varIntToNumber(readerStream)
-  if (type !== MOQ_MESSAGE_SUBSCRIBE) {
-    throw new Error(`SUBSCRIBE type must be ${MOQ_MESSAGE_SUBSCRIBE}, got ${type}`)
+export async function moqParseSubscribe (reader, version) {
+  return reader.Parse(r => {
+    const type = r.ReadVarInt()
+    if (type !== MOQ_MESSAGE_SUBSCRIBE) {
+      throw new Error(`SUBSCRIBE type must be ${MOQ_MESSAGE_SUBSCRIBE}, got ${type}`)
+    }
+    return moqParseSubscribeBody(r, version)
+  })
+}
+
+function moqParseSubscribeBody (r, version) {
+  const ret = { subscribeId: -1, trackAlias: -1, namespace: '', trackName: '', startGroup: null, startObject: null, endGroup: null, endObject: null, parameters: null }
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Subscribe Id
+    ret.subscribeId = r.ReadVarIntOrBigInt()
+    // Track alias
+    ret.trackAlias = r.ReadVarIntOrBigInt()
   }
 
   // Track namespace
-  ret.namespace = await moqStringRead(readerStream)
+  ret.namespace = r.ReadString()
 
   // Track name
-  ret.trackName = await moqStringRead(readerStream)
+  ret.trackName = r.ReadString()
 
   // Start group
-  ret.startGroup = await varIntToNumber(readerStream)
-  if (ret.startGroup !== MOQ_LOCATION_MODE_NONE) {
-    await varIntToNumber(readerStream)
-    // TODO: Do not start sending until this position
+  ret.startGroup = moqLocationRead(r)
+  // Start object
+  ret.startObject = moqLocationRead(r)
+  // End group
+  ret.endGroup = moqLocationRead(r)
+  // End object
+  ret.endObject = moqLocationRead(r)
+
+  ret.parameters = mpqReadParameters(r)
+
+  return ret
+}
+
+// Converts the SUBSCRIBE locations to absolute sequences using the largest group produced so far
+// The range is inclusive, end sequences are -1 when open ended
+export function moqGetAbsoluteSubscribeRange (subscribe, largestGroupSeq) {
+  const ret = { startGroupSeq: largestGroupSeq + 1, startObjSeq: 0, endGroupSeq: -1, endObjSeq: -1 }
+
+  if (subscribe.startGroup.mode !== MOQ_LOCATION_MODE_NONE) {
+    ret.startGroupSeq = moqLocationToAbsolute(subscribe.startGroup, largestGroupSeq)
   }
+  if (subscribe.startObject.mode === MOQ_LOCATION_MODE_ABSOLUTE) {
+    ret.startObjSeq = subscribe.startObject.value
+  }
+  if (subscribe.endGroup.mode !== MOQ_LOCATION_MODE_NONE) {
+    ret.endGroupSeq = moqLocationToAbsolute(subscribe.endGroup, largestGroupSeq)
+    if (subscribe.endObject.mode === MOQ_LOCATION_MODE_ABSOLUTE) {
+      ret.endObjSeq = subscribe.endObject.value
+    }
+  }
+  return ret
+}
 
-  // Start object
-  ret.startObject = await varIntToNumber(readerStream)
-  if (ret.startObject !== MOQ_LOCATION_MODE_NONE) {
-    await varIntToNumber(readerStream)
-    // TODO: Do not start sending until this position
+export async function moqSendSubscribeResponse (writerStream, version, subscribeId, namespace, trackName, trackId, expiresMs) {
+  return moqSend(writerStream, moqCreateSubscribeResponseMessageBytes(version, subscribeId, namespace, trackName, trackId, expiresMs))
+}
+
+// SUBSCRIBE_ERROR
+
+function moqCreateSubscribeErrorMessageBytes (version, subscribeId, trackAlias, namespace, trackName, errorCode, reason) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_ERROR)
+  // Error code
+  const errorCodeBytes = numberToVarInt(errorCode)
+  // Reason phrase
+  const reasonBytes = moqCreateStringBytes(reason)
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Subscribe Id
+    const subscribeIdBytes = numberToVarInt(subscribeId)
+    // Track alias
+    const trackAliasBytes = numberToVarInt(trackAlias)
+
+    return concatBuffer([messageTypeBytes, subscribeIdBytes, errorCodeBytes, reasonBytes, trackAliasBytes])
   }
 
-  // End group
-  ret.endGroup = await varIntToNumber(readerStream)
-  if (ret.endGroup !== MOQ_LOCATION_MODE_NONE) {
-    await varIntToNumber(readerStream)
-    // TODO: Stop sending if NO subscribers after this position
+  // Track namespace
+  const trackNamespaceBytes = moqCreateStringBytes(namespace)
+  // Track name
+  const trackNameBytes = moqCreateStringBytes(trackName)
+
+  return concatBuffer([messageTypeBytes, trackNamespaceBytes, trackNameBytes, errorCodeBytes, reasonBytes])
+}
+
+// Replies to a parsed SUBSCRIBE (as returned by moqParseSubscribe)
+export async function moqSendSubscribeError (writerStream, version, subscribe, errorCode, reason) {
+  return moqSend(writerStream, moqCreateSubscribeErrorMessageBytes(version, subscribe.subscribeId, subscribe.trackAlias, subscribe.namespace, subscribe.trackName, errorCode, reason))
+}
+
+function moqParseSubscribeErrorBody (r, version) {
+  const ret = { subscribeId: -1, trackAlias: -1, namespace: '', trackName: '', errorCode: -1, reason: '' }
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    ret.subscribeId = r.ReadVarIntOrBigInt()
+    ret.errorCode = r.ReadVarInt()
+    ret.reason = r.ReadString()
+    ret.trackAlias = r.ReadVarIntOrBigInt()
+    return ret
   }
 
-  // End object
-  ret.endObject = await varIntToNumber(readerStream)
-  if (ret.endObject !== MOQ_LOCATION_MODE_NONE) {
-    await varIntToNumber(readerStream)
-    // TODO: Stop sending if NO subscribers after this position
+  ret.namespace = r.ReadString()
+  ret.trackName = r.ReadString()
+  ret.errorCode = r.ReadVarInt()
+  ret.reason = r.ReadString()
+
+  return ret
+}
+
+// UNSUBSCRIBE
+
+function moqCreateUnSubscribeMessageBytes (version, subscribeId, namespace, trackName) {
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_UNSUBSCRIBE)
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Subscribe Id
+    const subscribeIdBytes = numberToVarInt(subscribeId)
+
+    return concatBuffer([messageTypeBytes, subscribeIdBytes])
+  }
+
+  // Track namespace
+  const trackNamespaceBytes = moqCreateStringBytes(namespace)
+  // Track name
+  const trackNameBytes = moqCreateStringBytes(trackName)
+
+  return concatBuffer([messageTypeBytes, trackNamespaceBytes, trackNameBytes])
+}
+
+export async function moqSendUnSubscribe (writerStream, version, subscribeId, namespace, trackName) {
+  return moqSend(writerStream, moqCreateUnSubscribeMessageBytes(version, subscribeId, namespace, trackName))
+}
+
+function moqParseUnSubscribeBody (r, version) {
+  const ret = { subscribeId: -1, namespace: '', trackName: '' }
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    ret.subscribeId = r.ReadVarIntOrBigInt()
+    return ret
+  }
+
+  ret.namespace = r.ReadString()
+  ret.trackName = r.ReadString()
+
+  return ret
+}
+
+// SUBSCRIBE_DONE
+// In draft-01 it is sent as SUBSCRIBE_RST (it carries code and reason)
+
+function moqCreateSubscribeDoneMessageBytes (version, subscribeId, namespace, trackName, statusCode, reason, finalGroupSeq, finalObjSeq) {
+  const contentExists = finalGroupSeq !== undefined && finalGroupSeq >= 0 && finalObjSeq !== undefined && finalObjSeq >= 0
+  // Status code
+  const statusCodeBytes = numberToVarInt(statusCode)
+  // Reason phrase
+  const reasonBytes = moqCreateStringBytes(reason)
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    // Message type
+    const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_DONE)
+    // Subscribe Id
+    const subscribeIdBytes = numberToVarInt(subscribeId)
+    // Content exists
+    const contentExistsBytes = numberToVarInt(contentExists ? 1 : 0)
+    // Final group & object
+    const finalGroupBytes = contentExists ? numberToVarInt(finalGroupSeq) : undefined
+    const finalObjBytes = contentExists ? numberToVarInt(finalObjSeq) : undefined
+
+    return concatBuffer([messageTypeBytes, subscribeIdBytes, statusCodeBytes, reasonBytes, contentExistsBytes, finalGroupBytes, finalObjBytes])
+  }
+
+  // Message type
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_SUBSCRIBE_RST_DRAFT01)
+  // Track namespace
+  const trackNamespaceBytes = moqCreateStringBytes(namespace)
+  // Track name
+  const trackNameBytes = moqCreateStringBytes(trackName)
+  // Final group & object
+  const finalGroupBytes = numberToVarInt(contentExists ? finalGroupSeq : 0)
+  const finalObjBytes = numberToVarInt(contentExists ? finalObjSeq : 0)
+
+  return concatBuffer([messageTypeBytes, trackNamespaceBytes, trackNameBytes, statusCodeBytes, reasonBytes, finalGroupBytes, finalObjBytes])
+}
+
+export async function moqSendSubscribeDone (writerStream, version, subscribeId, namespace, trackName, statusCode, reason, finalGroupSeq, finalObjSeq) {
+  return moqSend(writerStream, moqCreateSubscribeDoneMessageBytes(version, subscribeId, namespace, trackName, statusCode, reason, finalGroupSeq, finalObjSeq))
+}
+
+function moqParseSubscribeDoneBody (r, version, type) {
+  const ret = { subscribeId: -1, namespace: '', trackName: '', statusCode: MOQ_SUBSCRIBE_DONE_TRACK_ENDED, reason: '', finalGroupSeq: -1, finalObjSeq: -1 }
+
+  if (version === MOQ_DRAFT03_VERSION) {
+    ret.subscribeId = r.ReadVarIntOrBigInt()
+    ret.statusCode = r.ReadVarInt()
+    ret.reason = r.ReadString()
+    const contentExists = r.ReadVarInt()
+    if (contentExists > 0) {
+      ret.finalGroupSeq = r.ReadVarIntOrBigInt()
+      ret.finalObjSeq = r.ReadVarIntOrBigInt()
+    }
+    return ret
   }
 
-  ret.parameters = await mpqReadParameters(readerStream)
+  ret.namespace = r.ReadString()
+  ret.trackName = r.ReadString()
+  if (type === MOQ_MESSAGE_SUBSCRIBE_RST_DRAFT01) {
+    ret.statusCode = r.ReadVarInt()
+    ret.reason = r.ReadString()
+  }
+  ret.finalGroupSeq = r.ReadVarIntOrBigInt()
+  ret.finalObjSeq = r.ReadVarIntOrBigInt()
 
   return ret
 }
 
-export async function moqSendSubscribeResponse (writerStream, namespace, trackName, trackId, expiresMs) {
-  return moqSend(writerStream, moqCreateSubscribeResponseMessageBytes(namespace, trackName, trackId, expiresMs))
+// Generic control message parser
+// Control messages do NOT carry length, so an unknown type can NOT be skipped (the control stream is not usable after that)
+
+export async function moqParseControlMessage (reader, version) {
+  return reader.Parse(r => moqParseControlMessageBody(r, version))
+}
+
+function moqParseControlMessageBody (r, version) {
+  const type = r.ReadVarInt()
+  let data
+  if (type === MOQ_MESSAGE_SUBSCRIBE) {
+    data = moqParseSubscribeBody(r, version)
+  } else if (type === MOQ_MESSAGE_SUBSCRIBE_OK) {
+    data = moqParseSubscribeResponseBody(r, version)
+  } else if (type === MOQ_MESSAGE_SUBSCRIBE_ERROR) {
+    data = moqParseSubscribeErrorBody(r, version)
+  } else if (type === MOQ_MESSAGE_UNSUBSCRIBE) {
+    data = moqParseUnSubscribeBody(r, version)
+  } else if (type === MOQ_MESSAGE_SUBSCRIBE_DONE || (version !== MOQ_DRAFT03_VERSION && type === MOQ_MESSAGE_SUBSCRIBE_RST_DRAFT01)) {
+    data = moqParseSubscribeDoneBody(r, version, type)
+    return { type: MOQ_MESSAGE_SUBSCRIBE_DONE, data }
+  } else if (type === MOQ_MESSAGE_ANNOUNCE) {
+    data = moqParseAnnounceBody(r)
+  } else if (type === MOQ_MESSAGE_ANNOUNCE_OK) {
+    data = moqParseAnnounceResponseBody(r)
+  } else if (type === MOQ_MESSAGE_ANNOUNCE_ERROR) {
+    data = moqParseAnnounceErrorBody(r)
+  } else if (type === MOQ_MESSAGE_UNANNOUNCE) {
+    data = moqParseUnAnnounceBody(r)
+  } else if (type === MOQ_MESSAGE_SUBSCRIBE_NAMESPACE) {
+    data = moqParseSubscribeNamespaceBody(r)
+  } else if (type === MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_OK) {
+    data = moqParseSubscribeNamespaceOkBody(r)
+  } else if (type === MOQ_MESSAGE_SUBSCRIBE_NAMESPACE_ERROR) {
+    data = moqParseSubscribeNamespaceErrorBody(r)
+  } else if (type === MOQ_MESSAGE_UNSUBSCRIBE_NAMESPACE) {
+    data = moqParseUnSubscribeNamespaceBody(r)
+  } else {
+    throw new Error(`control message type ${type} NOT supported (version: ${version})`)
+  }
+  return { type, data }
+}
+
+// JSON.stringify does NOT support BigInt (parsed fields can be BigInt, see BufferedReader.ReadVarIntOrBigInt)
+export function moqToJSONString (data) {
+  return JSON.stringify(data, (key, value) => typeof value === 'bigint' ? value.toString() : value)
+}
+
+export function moqGetSubscriptionStr (data) {
+  if (data.namespace !== undefined && data.namespace !== '') {
+    return `${data.namespace}/${data.trackName}`
+  }
+  return `subscribeId ${data.subscribeId}`
 }
 
 // OBJECT
-// TODO: Send also objects with length, only useful if I put more than one in a quic stream
+// Stream per object: OBJECT (draft-01) / OBJECT_STREAM (draft-03), payload until the end of the stream
+// Stream per group: OBJECT_WITH_LENGTH (draft-01) / STREAM_HEADER_GROUP + (object id, length, payload) (draft-03)
+// Datagram: OBJECT_DATAGRAM (only draft-03), payload until the end of the datagram
+
+function moqCreateObjectBytes (version, subscribeId, trackId, groupSeq, objSeq, sendOrder, data, isDatagram) {
+  if (version === MOQ_DRAFT03_VERSION) {
+    // OBJECT_STREAM / OBJECT_DATAGRAM, trackId is the track alias assigned by the subscriber
+    const messageTypeBytes = numberToVarInt(isDatagram === true ? MOQ_MESSAGE_OBJECT_DATAGRAM : MOQ_MESSAGE_OBJECT_STREAM)
+    const subscribeIdBytes = numberToVarInt(subscribeId)
+    const trackAliasBytes = numberToVarInt(trackId)
+    const groupIdBytes = numberToVarInt(groupSeq)
+    const objIdBytes = numberToVarInt(objSeq)
+    const sendOrderBytes = numberToVarInt(sendOrder)
+
+    return concatBuffer([messageTypeBytes, subscribeIdBytes, trackAliasBytes, groupIdBytes, objIdBytes, sendOrderBytes, data])
+  }
 
-function moqCreateObjectBytes (trackId, groupSeq, objSeq, sendOrder, data) {
   // Message type
   const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_OBJECT)
   const trackIdBytes = numberToVarInt(trackId)
@@ -300,65 +910,197 @@ function moqCreateObjectBytes (trackId, groupSeq, objSeq, sendOrder, data) {
   return concatBuffer([messageTypeBytes, trackIdBytes, groupSeqBytes, objSeqBytes, sendOrderBytes, data])
 }
 
-export function moqSendObjectToWriter (writer, trackId, groupSeq, objSeq, sendOrder, data) {
-  return moqSendToWriter(writer, moqCreateObjectBytes(trackId, groupSeq, objSeq, sendOrder, data))
+export function moqSendObjectToWriter (writer, version, subscribeId, trackId, groupSeq, objSeq, sendOrder, data) {
+  return moqSendToWriter(writer, moqCreateObjectBytes(version, subscribeId, trackId, groupSeq, objSeq, sendOrder, data))
+}
+
+// The caller checks the size against the max datagram size
+export function moqCreateObjectDatagramBytes (version, subscribeId, trackId, groupSeq, objSeq, sendOrder, data) {
+  if (version !== MOQ_DRAFT03_VERSION) {
+    throw new Error(`OBJECT_DATAGRAM NOT supported in version ${version}`)
+  }
+  return moqCreateObjectBytes(version, subscribeId, trackId, groupSeq, objSeq, sendOrder, data, true)
+}
+
+function moqCreateGroupStreamHeaderBytes (subscribeId, trackAlias, groupSeq, sendOrder) {
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_STREAM_HEADER_GROUP)
+  const subscribeIdBytes = numberToVarInt(subscribeId)
+  const trackAliasBytes = numberToVarInt(trackAlias)
+  const groupIdBytes = numberToVarInt(groupSeq)
+  const sendOrderBytes = numberToVarInt(sendOrder)
+
+  return concatBuffer([messageTypeBytes, subscribeIdBytes, trackAliasBytes, groupIdBytes, sendOrderBytes])
+}
+
+function moqCreateGroupObjectBytes (version, trackId, groupSeq, objSeq, sendOrder, data) {
+  const payloadLengthBytes = numberToVarInt(data.byteLength)
+  if (version === MOQ_DRAFT03_VERSION) {
+    // The rest of the fields are in the stream header
+    const objIdBytes = numberToVarInt(objSeq)
+
+    return concatBuffer([objIdBytes, payloadLengthBytes, data])
+  }
+
+  const messageTypeBytes = numberToVarInt(MOQ_MESSAGE_OBJECT_WITH_LENGTH)
+  const trackIdBytes = numberToVarInt(trackId)
+  const groupSeqBytes = numberToVarInt(groupSeq)
+  const objSeqBytes = numberToVarInt(objSeq)
+  const sendOrderBytes = numberToVarInt(sendOrder)
+
+  return concatBuffer([messageTypeBytes, trackIdBytes, groupSeqBytes, objSeqBytes, sendOrderBytes, payloadLengthBytes, data])
+}
+
+// Call it once when the group stream is created (draft-01 does NOT have stream header)
+export function moqSendGroupStreamHeaderToWriter (writer, version, subscribeId, trackId, groupSeq, sendOrder) {
+  if (version !== MOQ_DRAFT03_VERSION) {
+    return
+  }
+  return moqSendToWriter(writer, moqCreateGroupStreamHeaderBytes(subscribeId, trackId, groupSeq, sendOrder))
+}
+
+export function moqSendGroupObjectToWriter (writer, version, trackId, groupSeq, objSeq, sendOrder, data) {
+  return moqSendToWriter(writer, moqCreateGroupObjectBytes(version, trackId, groupSeq, objSeq, sendOrder, data))
 }
 
-export async function moqParseObjectHeader (readerStream) {
-  const type = await varIntToNumber(readerStream)
+// payloadLength is only set if there could be more objects in the stream (see moqParseNextObjectHeader)
+export async function moqParseObjectHeader (reader, version) {
+  return reader.Parse(r => moqParseObjectHeaderBody(r, version))
+}
+
+function moqParseObjectHeaderBody (r, version) {
+  const type = r.ReadVarInt()
+  if (version === MOQ_DRAFT03_VERSION) {
+    if (type === MOQ_MESSAGE_STREAM_HEADER_GROUP) {
+      const subscribeId = r.ReadVarIntOrBigInt()
+      const trackId = r.ReadVarIntOrBigInt()
+      const groupSeq = r.ReadVarIntOrBigInt()
+      const sendOrder = r.ReadVarIntOrBigInt()
+      const objSeq = r.ReadVarIntOrBigInt()
+      const payloadLength = r.ReadVarInt()
+      return { subscribeId, trackId, groupSeq, objSeq, sendOrder, payloadLength }
+    }
+    if (type !== MOQ_MESSAGE_OBJECT_STREAM && type !== MOQ_MESSAGE_OBJECT_DATAGRAM) {
+      throw new Error(`OBJECT answer type must be ${MOQ_MESSAGE_OBJECT_STREAM}, ${MOQ_MESSAGE_OBJECT_DATAGRAM} or ${MOQ_MESSAGE_STREAM_HEADER_GROUP}, got ${type}`)
+    }
+    const subscribeId = r.ReadVarIntOrBigInt()
+    const trackId = r.ReadVarIntOrBigInt()
+    const groupSeq = r.ReadVarIntOrBigInt()
+    const objSeq = r.ReadVarIntOrBigInt()
+    const sendOrder = r.ReadVarIntOrBigInt()
+    return { subscribeId, trackId, groupSeq, objSeq, sendOrder }
+  }
+
+  return moqParseObjectHeaderDraft01(r, type)
+}
+
+// Reads the header of the next object in a multi object stream, returns undefined when the stream is finished
+export async function moqParseNextObjectHeader (reader, version, prevObjHeader) {
+  if (await reader.IsEof()) {
+    return undefined
+  }
+  return reader.Parse(r => {
+    if (version === MOQ_DRAFT03_VERSION) {
+      const objSeq = r.ReadVarIntOrBigInt()
+      const payloadLength = r.ReadVarInt()
+      return { subscribeId: prevObjHeader.subscribeId, trackId: prevObjHeader.trackId, groupSeq: prevObjHeader.groupSeq, objSeq, sendOrder: prevObjHeader.sendOrder, payloadLength }
+    }
+    return moqParseObjectHeaderDraft01(r, r.ReadVarInt())
+  })
+}
+
+function moqParseObjectHeaderDraft01 (r, type) {
   if (type !== MOQ_MESSAGE_OBJECT && type !== MOQ_MESSAGE_OBJECT_WITH_LENGTH) {
     throw new Error(`OBJECT answer type must be ${MOQ_MESSAGE_OBJECT} or ${MOQ_MESSAGE_OBJECT_WITH_LENGTH}, got ${type}`)
   }
 
-  const trackId = await varIntToNumber(readerStream)
-  const groupSeq = await varIntToNumber(readerStream)
-  const objSeq = await varIntToNumber(readerStream)
-  const sendOrder = await varIntToNumber(readerStream)
+  const trackId = r.ReadVarIntOrBigInt()
+  const groupSeq = r.ReadVarIntOrBigInt()
+  const objSeq = r.ReadVarIntOrBigInt()
+  const sendOrder = r.ReadVarIntOrBigInt()
   const ret = { trackId, groupSeq, objSeq, sendOrder }
   if (type === MOQ_MESSAGE_OBJECT_WITH_LENGTH) {
-    ret.payloadLength = await varIntToNumber(readerStream)
+    ret.payloadLength = r.ReadVarInt()
   }
   return ret
 }
 
 // Helpers
 
+function moqCreateLocationBytes (location) {
+  const modeBytes = numberToVarInt(location.mode)
+  if (location.mode === MOQ_LOCATION_MODE_NONE) {
+    return modeBytes
+  }
+  return concatBuffer([modeBytes, numberToVarInt(location.value)])
+}
+
+function moqLocationRead (r) {
+  const ret = { mode: r.ReadVarInt(), value: 0 }
+  if (ret.mode !== MOQ_LOCATION_MODE_NONE) {
+    ret.value = r.ReadVarIntOrBigInt()
+  }
+  return ret
+}
+
+// Location values can be BigInt (see BufferedReader.ReadVarIntOrBigInt)
+function moqLocationToAbsolute (location, largestSeq) {
+  const value = BigInt(location.value)
+  const largest = BigInt(largestSeq)
+  if (location.mode === MOQ_LOCATION_MODE_RELATIVE_PREVIOUS) {
+    // 0 is the largest (current) one
+    return numberOrBigInt(largest > value ? largest - value : 0n)
+  }
+  if (location.mode === MOQ_LOCATION_MODE_RELATIVE_NEXT) {
+    return numberOrBigInt(largest + 1n + value)
+  }
+  return location.value
+}
+
 function moqCreateStringBytes (str) {
   const dataStrBytes = new TextEncoder().encode(str)
   const dataStrLengthBytes = numberToVarInt(dataStrBytes.byteLength)
   return concatBuffer([dataStrLengthBytes, dataStrBytes])
 }
 
-async function moqStringRead (readerStream) {
-  const size = await varIntToNumber(readerStream)
-  const buffer = await buffRead(readerStream, size)
-  return new TextDecoder().decode(buffer)
-}
+// Messages can be sent from different async flows (ex: control loop and object sending), a stream only accepts one writer at a time
+const pendingSends = new WeakMap()
 
 async function moqSend (writerStream, dataBytes) {
-  const writer = writerStream.getWriter()
-  moqSendToWriter(writer, dataBytes)
-  await writer.ready
-  writer.releaseLock()
+  const prev = pendingSends.get(writerStream) || Promise.resolve()
+  const p = prev.catch(() => {}).then(async () => {
+    const writer = writerStream.getWriter()
+    try {
+      // Respects the stream desired size, so messages do not queue without bound
+      await writer.ready
+      // Not awaited (it resolves when the data is consumed), but if the stream is already closed it fails right away
+      const written = moqSendToWriter(writer, dataBytes)
+      written.catch(() => {})
+      await Promise.race([written, writer.ready])
+    } finally {
+      writer.releaseLock()
+    }
+  })
+  pendingSends.set(writerStream, p)
+  return p
 }
 
-async function mpqReadParameters (readerStream) {
+function mpqReadParameters (r) {
   const ret = {}
   // Params
-  const numParams = await varIntToNumber(readerStream)
+  const numParams = r.ReadVarInt()
   if (numParams > MOQ_MAX_PARAMS) {
     throw new Error(`exceeded the max number of supported params ${MOQ_MAX_PARAMS}, got ${numParams}`)
   }
   for (let i = 0; i < numParams; i++) {
-    const paramId = await varIntToNumber(readerStream)
+    const paramId = r.ReadVarInt()
     if (paramId === MOQ_PARAMETER_AUTHORIZATION_INFO) {
-      ret.authInfo = await moqStringRead(readerStream)
+      ret.authInfo = r.ReadString()
     } else if (paramId === MOQ_PARAMETER_ROLE) {
-      await varIntToNumber(readerStream)
-      ret.role = await varIntToNumber(readerStream)
+      r.ReadVarInt()
+      ret.role = r.ReadVarInt()
     } else {
-      const paramLength = await varIntToNumber(readerStream)
-      const skip = await buffRead(readerStream, paramLength)
+      const paramLength = r.ReadVarInt()
+      const skip = r.ReadBytes(paramLength)
       ret[`unknown-${i}-${paramId}-${paramLength}`] = JSON.stringify(skip)
     }
   }
@@ -366,5 +1108,5 @@ async function mpqReadParameters (readerStream) {
 }
 
 async function moqSendToWriter (writer, dataBytes) {
-  writer.write(dataBytes)
+  return writer.write(dataBytes)
 }
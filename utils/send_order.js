@@ -0,0 +1,107 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { numberOrBigInt } from './varint.js'
+
+// Send order policies, selected per track (sendOrderPolicy). Higher send order is sent first
+// strictAudio: new over old (seqId), hipri tracks (audio) always over the rest
+// newestGroupFirst: new groups over old ones, inside a group in object order (later objects depend on the previous ones), hipri tracks on top
+// keyframeBoost: same as strictAudio but keyframes over the deltas of the non hipri tracks
+// weightedFair: the tracks using it share the bandwidth by sendOrderWeight (self clocked fair queuing on the payload bytes), it ignores hipri
+export const SEND_ORDER_POLICY_STRICT_AUDIO = 'strictAudio'
+export const SEND_ORDER_POLICY_NEWEST_GROUP_FIRST = 'newestGroupFirst'
+export const SEND_ORDER_POLICY_KEYFRAME_BOOST = 'keyframeBoost'
+export const SEND_ORDER_POLICY_WEIGHTED_FAIR = 'weightedFair'
+
+export const SEND_ORDER_POLICY_DEFAULT = SEND_ORDER_POLICY_STRICT_AUDIO
+
+const SEND_ORDER_HIPRI_OFFSET = BigInt(Math.floor(Number.MAX_SAFE_INTEGER / 2))
+const SEND_ORDER_KEYFRAME_BOOST_OFFSET = Math.floor(Number.MAX_SAFE_INTEGER / 4)
+// Over the non hipri tracks of the other policies, under the hipri ones
+const SEND_ORDER_WEIGHTED_FAIR_BASE = Math.floor(Number.MAX_SAFE_INTEGER / 4)
+const SEND_ORDER_MAX_OBJECTS_PER_GROUP = 2 ** 20
+
+const SEND_ORDER_WEIGHT_DEFAULT = 1
+
+// Calculates the send order of every object with the policy of its track, also keeps the state shared between tracks (weightedFair)
+// Other policies can be added with AddPolicy(name, (info, state) => sendOrder)
+// info: { trackType, seqId, groupSeq, objSeq, isKey, isHipri, weight, byteLength }
+export class SendOrderCalculator {
+  constructor () {
+    this.policies = {
+      [SEND_ORDER_POLICY_STRICT_AUDIO]: calculateStrictAudio,
+      [SEND_ORDER_POLICY_NEWEST_GROUP_FIRST]: calculateNewestGroupFirst,
+      [SEND_ORDER_POLICY_KEYFRAME_BOOST]: calculateKeyframeBoost,
+      [SEND_ORDER_POLICY_WEIGHTED_FAIR]: calculateWeightedFair
+    }
+    this.state = { fairVirtualTime: 0, fairLastFinish: {} }
+  }
+
+  AddPolicy (name, calculateFn) {
+    this.policies[name] = calculateFn
+  }
+
+  IsPolicySupported (name) {
+    return name in this.policies
+  }
+
+  GetPolicies () {
+    return Object.keys(this.policies)
+  }
+
+  Calculate (policyName, info) {
+    if (!this.IsPolicySupported(policyName)) {
+      throw new Error(`Send order policy ${policyName} NOT supported, supported: ${JSON.stringify(this.GetPolicies())}`)
+    }
+    return this.policies[policyName](info, this.state)
+  }
+
+  Clear () {
+    this.state = { fairVirtualTime: 0, fairLastFinish: {} }
+  }
+}
+
+function calculateStrictAudio (info) {
+  if (info.seqId < 0) {
+    // Send now
+    return Number.MAX_SAFE_INTEGER
+  }
+  return addHipriOffset(info.seqId, info.isHipri)
+}
+
+function calculateNewestGroupFirst (info) {
+  const objSeq = Math.min(info.objSeq, SEND_ORDER_MAX_OBJECTS_PER_GROUP - 1)
+  return addHipriOffset(info.groupSeq * SEND_ORDER_MAX_OBJECTS_PER_GROUP + (SEND_ORDER_MAX_OBJECTS_PER_GROUP - 1 - objSeq), info.isHipri)
+}
+
+function calculateKeyframeBoost (info) {
+  if (info.seqId < 0) {
+    return Number.MAX_SAFE_INTEGER
+  }
+  if (info.isKey && !info.isHipri) {
+    return info.seqId + SEND_ORDER_KEYFRAME_BOOST_OFFSET
+  }
+  return addHipriOffset(info.seqId, info.isHipri)
+}
+
+// Every object gets a virtual finish time, the earlier it finishes the higher its send order
+function calculateWeightedFair (info, state) {
+  const weight = (info.weight > 0) ? info.weight : SEND_ORDER_WEIGHT_DEFAULT
+  const lastFinish = (info.trackType in state.fairLastFinish) ? state.fairLastFinish[info.trackType] : 0
+  const finish = Math.max(lastFinish, state.fairVirtualTime) + info.byteLength / weight
+  state.fairLastFinish[info.trackType] = finish
+  state.fairVirtualTime = Math.max(lastFinish, state.fairVirtualTime)
+  return Math.max(0, SEND_ORDER_WEIGHTED_FAIR_BASE - Math.ceil(finish))
+}
+
+function addHipriOffset (value, isHipri) {
+  if (!isHipri) {
+    return value
+  }
+  // It can be over 53 bits (BigInt), the varint encoding accepts up to 62 bits
+  return numberOrBigInt(BigInt(value) + SEND_ORDER_HIPRI_OFFSET)
+}
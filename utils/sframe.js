@@ -0,0 +1,185 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// End to end encryption of the object payloads, SFrame (RFC 9605) with AES_128_GCM_SHA256_128
+// Encrypted payload: SFrame header (in clear, key ID + counter) + AES-GCM(packaged object) + tag (16 bytes)
+// Keys are derived (HKDF) from a base key (secret shared by the publisher and the players, never sent), its key ID and the track type,
+// so every track has its own AES key and salt even if they share the secret (the counters of 2 tracks can overlap)
+// Relays can forward and cache the objects, but they can NOT read them
+// Example (per track)
+/* encryption: {
+    keyId: 1,
+    key: "secret-1"
+} */
+// Rotation: the new key is added to the receivers first (they keep the previous ones), and then the sender starts using it
+
+export const SFRAME_CIPHER_SUITE_AES_128_GCM_SHA256_128 = 0x0004
+
+const KEY_SIZE = 16
+const NONCE_SIZE = 12
+const TAG_SIZE = 16
+
+// Receivers keep the last keys, so the objects sent before a rotation can still be decrypted
+const MAX_KEYS = 8
+
+export class SFrameContext {
+  // trackType: same on the publisher and the players (ex: 'video'), part of the key derivation
+  constructor (trackType) {
+    if (typeof trackType !== 'string' || trackType === '') {
+      throw new Error('SFrame context needs the track type')
+    }
+    this.trackType = trackType
+    this.keys = new Map() // keyId -> { aesKey, salt }
+    this.currentKeyId = undefined
+    // The nonce can NOT be repeated with the same key, starting from the wall clock (us) it keeps increasing after a publisher restart
+    this.counter = Date.now() * 1000
+  }
+
+  // key: secret string, derives the AES key and salt of that keyId for this track
+  async AddKey (keyId, key) {
+    if (!Number.isInteger(keyId) || keyId < 0) {
+      throw new Error(`SFrame key ID ${keyId} NOT valid, it needs to be an integer >= 0`)
+    }
+    if (typeof key !== 'string' || key === '') {
+      throw new Error(`SFrame key for key ID ${keyId} is empty`)
+    }
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(key), 'HKDF', false, ['deriveBits'])
+    const keyBits = await deriveBits(baseKey, 'SFrame 1.0 Secret key ', keyId, this.trackType, KEY_SIZE)
+    const salt = new Uint8Array(await deriveBits(baseKey, 'SFrame 1.0 Secret salt ', keyId, this.trackType, NONCE_SIZE))
+    const aesKey = await crypto.subtle.importKey('raw', keyBits, 'AES-GCM', false, ['encrypt', 'decrypt'])
+
+    this.keys.delete(keyId)
+    this.keys.set(keyId, { aesKey, salt })
+    while (this.keys.size > MAX_KEYS) {
+      this.keys.delete(this.keys.keys().next().value)
+    }
+  }
+
+  // Key rotation, next objects are encrypted with this key
+  SetCurrentKeyId (keyId) {
+    if (!this.keys.has(keyId)) {
+      throw new Error(`SFrame key ID ${keyId} NOT added`)
+    }
+    this.currentKeyId = keyId
+  }
+
+  GetCurrentKeyId () {
+    return this.currentKeyId
+  }
+
+  async Encrypt (data) {
+    if (this.currentKeyId === undefined) {
+      throw new Error('SFrame current key NOT set')
+    }
+    const { aesKey, salt } = this.keys.get(this.currentKeyId)
+    const counter = this.counter++
+    const header = createHeader(this.currentKeyId, counter)
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: createNonce(salt, counter), additionalData: header, tagLength: TAG_SIZE * 8 }, aesKey, data)
+
+    const ret = new Uint8Array(header.byteLength + encrypted.byteLength)
+    ret.set(header, 0)
+    ret.set(new Uint8Array(encrypted), header.byteLength)
+    return ret
+  }
+
+  // Returns { keyId, data }, throws if the key is unknown or the payload is NOT authentic
+  async Decrypt (bytes) {
+    const { keyId, counter, headerSize } = parseHeader(bytes)
+    if (!this.keys.has(keyId)) {
+      throw new Error(`SFrame unknown key ID ${keyId}`)
+    }
+    if (bytes.byteLength < headerSize + TAG_SIZE) {
+      throw new Error(`SFrame payload too short (${bytes.byteLength} bytes)`)
+    }
+    const { aesKey, salt } = this.keys.get(keyId)
+    let data
+    try {
+      data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: createNonce(salt, counter), additionalData: bytes.subarray(0, headerSize), tagLength: TAG_SIZE * 8 }, aesKey, bytes.subarray(headerSize))
+    } catch (err) {
+      throw new Error(`SFrame decryption failed (key ID ${keyId}, counter ${counter})`)
+    }
+    return { keyId, data: new Uint8Array(data) }
+  }
+}
+
+async function deriveBits (baseKey, label, keyId, trackType, size) {
+  // label + key ID (uint64) + cipher suite (uint16) as in RFC 9605, + track type (not in the RFC, keys per track)
+  const labelBytes = new TextEncoder().encode(label)
+  const trackTypeBytes = new TextEncoder().encode(trackType)
+  const info = new Uint8Array(labelBytes.byteLength + 10 + trackTypeBytes.byteLength)
+  info.set(labelBytes, 0)
+  const view = new DataView(info.buffer)
+  view.setBigUint64(labelBytes.byteLength, BigInt(keyId))
+  view.setUint16(labelBytes.byteLength + 8, SFRAME_CIPHER_SUITE_AES_128_GCM_SHA256_128)
+  info.set(trackTypeBytes, labelBytes.byteLength + 10)
+  return crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info }, baseKey, size * 8)
+}
+
+// Salt XOR counter (big endian, right aligned)
+function createNonce (salt, counter) {
+  const ret = new Uint8Array(salt)
+  const counterBytes = uintToBytes(counter)
+  for (let i = 0; i < counterBytes.byteLength; i++) {
+    ret[NONCE_SIZE - counterBytes.byteLength + i] ^= counterBytes[i]
+  }
+  return ret
+}
+
+// Config byte: X (1 bit), K (3 bits), Y (1 bit), C (3 bits). Values < 8 go in K / C, if not X / Y are set and K / C are their length - 1
+function createHeader (keyId, counter) {
+  const keyIdBytes = (keyId < 8) ? new Uint8Array(0) : uintToBytes(keyId)
+  const counterBytes = (counter < 8) ? new Uint8Array(0) : uintToBytes(counter)
+  const k = (keyId < 8) ? keyId : (0x08 | (keyIdBytes.byteLength - 1))
+  const c = (counter < 8) ? counter : (0x08 | (counterBytes.byteLength - 1))
+
+  const ret = new Uint8Array(1 + keyIdBytes.byteLength + counterBytes.byteLength)
+  ret[0] = (k << 4) | c
+  ret.set(keyIdBytes, 1)
+  ret.set(counterBytes, 1 + keyIdBytes.byteLength)
+  return ret
+}
+
+function parseHeader (bytes) {
+  if (bytes.byteLength < 1) {
+    throw new Error('SFrame header missing')
+  }
+  let pos = 1
+  const readValue = (field) => {
+    if ((field & 0x08) === 0) {
+      return field
+    }
+    const size = (field & 0x07) + 1
+    if (pos + size > bytes.byteLength) {
+      throw new Error('SFrame header truncated')
+    }
+    const value = bytesToUint(bytes.subarray(pos, pos + size))
+    pos += size
+    return value
+  }
+  const keyId = readValue(bytes[0] >> 4)
+  const counter = readValue(bytes[0] & 0x0f)
+  return { keyId, counter, headerSize: pos }
+}
+
+// Minimum big endian bytes (up to 53 bits)
+function uintToBytes (value) {
+  const ret = []
+  let v = value
+  do {
+    ret.unshift(v % 256)
+    v = Math.floor(v / 256)
+  } while (v > 0)
+  return new Uint8Array(ret)
+}
+
+function bytesToUint (bytes) {
+  let ret = 0
+  for (const b of bytes) {
+    ret = ret * 256 + b
+  }
+  return ret
+}
@@ -0,0 +1,44 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// Helpers for the publisher side of SUBSCRIBE, ranges come from moqGetAbsoluteSubscribeRange
+// A subscription has startGroupSeq, startObjSeq, endGroupSeq, endObjSeq (absolute and inclusive, end -1 means open ended)
+
+// largestGroupSeq: -1 if nothing was produced yet, groupCache: GroupCache of the track
+export function checkSubscribeRange (range, largestGroupSeq, groupCache) {
+  if (range.endGroupSeq >= 0 && (range.endGroupSeq < range.startGroupSeq || (range.endGroupSeq === range.startGroupSeq && range.endObjSeq >= 0 && range.endObjSeq < range.startObjSeq))) {
+    return 'end before start'
+  }
+  if (largestGroupSeq < 0 || range.startGroupSeq > largestGroupSeq) {
+    return ''
+  }
+  // Starts in the past, it needs to be in the cache
+  const oldestGroupSeq = groupCache.GetOldestGroupSeq()
+  if (oldestGroupSeq < 0 || range.startGroupSeq < oldestGroupSeq) {
+    return 'start group is NOT available'
+  }
+  return ''
+}
+
+export function isInSubscriptionRange (subscription, groupSeq, objSeq) {
+  if (groupSeq < subscription.startGroupSeq || (groupSeq === subscription.startGroupSeq && objSeq < subscription.startObjSeq)) {
+    return false
+  }
+  if (subscription.endGroupSeq < 0) {
+    return true
+  }
+  return groupSeq < subscription.endGroupSeq || (groupSeq === subscription.endGroupSeq && (subscription.endObjSeq < 0 || objSeq <= subscription.endObjSeq))
+}
+
+// (groupSeq, objSeq) is the last object produced
+export function isSubscriptionFinished (subscription, groupSeq, objSeq) {
+  if (subscription.endGroupSeq < 0) {
+    return false
+  }
+  // Without end object we only know the group is over when the next one starts
+  return groupSeq > subscription.endGroupSeq || (groupSeq === subscription.endGroupSeq && subscription.endObjSeq >= 0 && objSeq >= subscription.endObjSeq)
+}
@@ -0,0 +1,74 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+import { moqSendSubscribeDone, moqSendObjectToWriter, moqCreateObjectDatagramBytes, MOQ_DRAFT03_VERSION } from './moqt.js'
+
+// Downstream subscriptions of the relays (src-relay/moq_relay.js and src-relay/moq_forwarder.js), objects are fanned out to them with the ids of every subscription
+// Ranges come from moqGetAbsoluteSubscribeRange (see utils/subscribe_range.js)
+
+// Used if the session does not report it
+const DATAGRAM_MAX_SIZE_DEFAULT = 1200
+
+// Transport session -> datagrams writer
+const datagramWriters = new WeakMap()
+
+// trackId: used in the objects in draft-01 (assigned by the publisher), in draft-03 the subscriber assigns it (track alias)
+export function subscriptionCreate (id, version, subscribe, range, trackId) {
+  return {
+    id,
+    subscribeId: subscribe.subscribeId,
+    trackId: (version === MOQ_DRAFT03_VERSION) ? subscribe.trackAlias : trackId,
+    namespace: subscribe.namespace,
+    trackName: subscribe.trackName,
+    // Absolute and inclusive, end -1 means open ended
+    startGroupSeq: range.startGroupSeq,
+    startObjSeq: range.startObjSeq,
+    endGroupSeq: range.endGroupSeq,
+    endObjSeq: range.endObjSeq,
+    // Last object sent
+    lastGroupSeq: -1,
+    lastObjSeq: -1
+  }
+}
+
+// data: UNSUBSCRIBE or SUBSCRIBE
+export function subscriptionFind (subscriptions, version, data) {
+  // In draft-01 there is no subscribeId, we release the oldest subscription for that track
+  return subscriptions.find(subscription => {
+    if (version === MOQ_DRAFT03_VERSION) {
+      return subscription.subscribeId === data.subscribeId
+    }
+    return subscription.namespace === data.namespace && subscription.trackName === data.trackName
+  })
+}
+
+export function subscriptionSendDone (moqt, subscription, statusCode, reason) {
+  return moqSendSubscribeDone(moqt.controlWriter, moqt.version, subscription.subscribeId, subscription.namespace, subscription.trackName, statusCode, reason, subscription.lastGroupSeq, subscription.lastObjSeq)
+}
+
+// delivery: 'stream' or 'datagram'. Datagrams only if the subscriber session supports them and the object fits, if not stream per object
+export async function subscriptionSendObject (moqt, subscription, obj, delivery) {
+  subscription.lastGroupSeq = obj.groupSeq
+  subscription.lastObjSeq = obj.objSeq
+
+  if (delivery === 'datagram' && moqt.version === MOQ_DRAFT03_VERSION) {
+    const datagram = moqCreateObjectDatagramBytes(moqt.version, subscription.subscribeId, subscription.trackId, obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload)
+    const maxDatagramSize = (moqt.session.datagrams.maxDatagramSize === undefined) ? DATAGRAM_MAX_SIZE_DEFAULT : moqt.session.datagrams.maxDatagramSize
+    if (datagram.byteLength <= maxDatagramSize) {
+      if (!datagramWriters.has(moqt.session)) {
+        datagramWriters.set(moqt.session, moqt.session.datagrams.writable.getWriter())
+      }
+      return datagramWriters.get(moqt.session).write(datagram)
+    }
+  }
+  // WebTransport only accepts numbers here (MOQT sendOrder can be BigInt)
+  const uniStream = await moqt.session.createUnidirectionalStream({ options: { sendOrder: Number(obj.sendOrder) } })
+  const uniWriter = uniStream.getWriter()
+  // Errors are reported by close
+  moqSendObjectToWriter(uniWriter, moqt.version, subscription.subscribeId, subscription.trackId, obj.groupSeq, obj.objSeq, obj.sendOrder, obj.payload).catch(() => {})
+  return uniWriter.close()
+}
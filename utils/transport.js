@@ -0,0 +1,307 @@
+/*
+Copyright (c) Meta Platforms, Inc. and affiliates.
+
+This source code is licensed under the MIT license found in the
+LICENSE file in the root directory of this source tree.
+*/
+
+// MOQT session (transport) interface, it is the subset of WebTransport used by moqt.js and the workers
+// - ready, closed: Promises
+// - close()
+// - createBidirectionalStream(): Promise<{ readable, writable }>
+// - createUnidirectionalStream(options): Promise<WritableStream>
+// - incomingBidirectionalStreams: ReadableStream of { readable, writable }
+// - incomingUnidirectionalStreams: ReadableStream of ReadableStream
+// - datagrams: { readable, writable, maxDatagramSize }
+
+export const LOOPBACK_MAX_DATAGRAM_SIZE_DEFAULT = 1200
+// Bytes a loopback stream accepts before the writes wait for the reader (as the QUIC flow control window)
+const LOOPBACK_STREAM_BUFFER_SIZE = 1024 * 1024
+
+// In-memory servers (ex: MoqRelay) listening in this JS context, by host
+const LOOPBACK_PROTOCOL = 'loopback:'
+const loopbackListeners = {}
+
+export function isLoopbackUrl (urlHostPort) {
+  return new URL(urlHostPort).protocol === LOOPBACK_PROTOCOL
+}
+
+// loopback://host URLs connect to the in-memory server listening on host, the rest use WebTransport
+export function createTransportSession (urlHostPort, options) {
+  if (isLoopbackUrl(urlHostPort)) {
+    return connectLoopback(new URL(urlHostPort).host)
+  }
+  return createWebTransportSession(urlHostPort, options)
+}
+
+// WebTransport needs https
+export function createWebTransportSession (urlHostPort, options) {
+  const url = new URL(urlHostPort)
+  url.protocol = 'https'
+
+  // eslint-disable-next-line no-undef
+  return new WebTransport(url.href, options)
+}
+
+// TLS trust of the WebTransport sessions (tlsTrust in the sender / downloader / forwarder configs)
+// Example
+/* tlsTrust: {
+    mode: 'hashes', // 'system' (certificate signed by a trusted CA), 'hashes', or 'fingerprintUrl' (default)
+    certificateHashes: ['hex or base64 SHA-256'], // mode 'hashes', only valid for self signed certificates (max 14 days)
+    fingerprintUrl: '/fingerprint.txt' // mode 'fingerprintUrl', JSON bytes array (as moq-go-server writes it), hex, or base64
+} */
+export const TLS_TRUST_MODE_SYSTEM = 'system'
+export const TLS_TRUST_MODE_HASHES = 'hashes'
+export const TLS_TRUST_MODE_FINGERPRINT_URL = 'fingerprintUrl'
+export const TLS_TRUST_FINGERPRINT_URL_DEFAULT = '/fingerprint.txt'
+
+const SHA256_SIZE_BYTES = 32
+
+// From the pages inputs, value is the fingerprint URL (mode fingerprintUrl) or the certificate hash (mode hashes)
+export function createTlsTrust (mode, value) {
+  if (mode === TLS_TRUST_MODE_HASHES) {
+    return { mode, certificateHashes: [value] }
+  }
+  if (mode === TLS_TRUST_MODE_FINGERPRINT_URL) {
+    return { mode, fingerprintUrl: value }
+  }
+  return { mode }
+}
+
+// Returns the WebTransport options for urlHostPort (in-memory loopback sessions do not need any)
+export async function createTransportOptions (urlHostPort, tlsTrust) {
+  if (isLoopbackUrl(urlHostPort)) {
+    return {}
+  }
+  const mode = (tlsTrust === undefined || tlsTrust.mode === undefined) ? TLS_TRUST_MODE_FINGERPRINT_URL : tlsTrust.mode
+  if (mode === TLS_TRUST_MODE_SYSTEM) {
+    return {}
+  }
+  let hashStrs = []
+  if (mode === TLS_TRUST_MODE_HASHES) {
+    hashStrs = tlsTrust.certificateHashes
+    if (!Array.isArray(hashStrs) || hashStrs.length <= 0) {
+      throw new Error(`TLS trust mode ${mode} needs certificateHashes (array of hex or base64 SHA-256)`)
+    }
+  } else if (mode === TLS_TRUST_MODE_FINGERPRINT_URL) {
+    const fingerprintUrl = (tlsTrust === undefined || tlsTrust.fingerprintUrl === undefined) ? TLS_TRUST_FINGERPRINT_URL_DEFAULT : tlsTrust.fingerprintUrl
+    hashStrs = [await fetchFingerprint(fingerprintUrl)]
+  } else {
+    throw new Error(`TLS trust mode ${mode} NOT supported, supported: ${JSON.stringify([TLS_TRUST_MODE_SYSTEM, TLS_TRUST_MODE_HASHES, TLS_TRUST_MODE_FINGERPRINT_URL])}`)
+  }
+  return { serverCertificateHashes: hashStrs.map(hashStr => { return { algorithm: 'sha-256', value: parseCertificateHash(hashStr) } }) }
+}
+
+// Accepts JSON bytes array, hex (with or without ':' separators), or base64 (also base64url)
+export function parseCertificateHash (hashStr) {
+  const str = (typeof hashStr === 'string') ? hashStr.trim() : ''
+  let ret
+  if (str.startsWith('[')) {
+    try {
+      ret = new Uint8Array(JSON.parse(str))
+    } catch (err) {
+      throw new Error(`Certificate hash is NOT a valid JSON bytes array. Err: ${err.message}`)
+    }
+  } else if (/^[0-9a-fA-F]{2}(:?[0-9a-fA-F]{2})*$/.test(str)) {
+    ret = new Uint8Array(str.replace(/:/g, '').match(/../g).map(byteStr => parseInt(byteStr, 16)))
+  } else if (/^[A-Za-z0-9+/\-_]+={0,2}$/.test(str)) {
+    let binStr
+    try {
+      binStr = atob(str.replace(/-/g, '+').replace(/_/g, '/'))
+    } catch (err) {
+      throw new Error(`Certificate hash is NOT valid base64, got ${JSON.stringify(hashStr)}`)
+    }
+    ret = new Uint8Array(binStr.length)
+    for (let i = 0; i < binStr.length; i++) {
+      ret[i] = binStr.charCodeAt(i)
+    }
+  } else {
+    throw new Error(`Certificate hash malformed, expecting hex or base64 SHA-256, got ${JSON.stringify(hashStr)}`)
+  }
+  if (ret.byteLength !== SHA256_SIZE_BYTES) {
+    throw new Error(`Certificate hash needs to be a SHA-256 (${SHA256_SIZE_BYTES} bytes), got ${ret.byteLength} bytes from ${JSON.stringify(hashStr)}`)
+  }
+  return ret
+}
+
+async function fetchFingerprint (fingerprintUrl) {
+  let resp
+  try {
+    resp = await fetch(fingerprintUrl, { method: 'GET' })
+  } catch (err) {
+    throw new Error(`Fetching the certificate fingerprint from ${fingerprintUrl}. Err: ${err.message}`)
+  }
+  if (!resp.ok) {
+    throw new Error(`Fetching the certificate fingerprint from ${fingerprintUrl}. Status: ${resp.status}`)
+  }
+  return resp.text()
+}
+
+// onSession(session) is called with the server side of every new loopback connection to host
+export function listenLoopback (host, onSession) {
+  if (host in loopbackListeners) {
+    throw new Error(`Loopback host ${host} already in use`)
+  }
+  loopbackListeners[host] = onSession
+}
+
+export function stopListeningLoopback (host) {
+  delete loopbackListeners[host]
+}
+
+function connectLoopback (host) {
+  if (!(host in loopbackListeners)) {
+    throw new Error(`Nothing is listening in loopback host ${host}`)
+  }
+  const [client, server] = createLoopbackSessionPair()
+  loopbackListeners[host](server)
+  return client
+}
+
+// Returns 2 connected in-memory sessions [client, server], what one side opens is received by the other
+export function createLoopbackSessionPair (maxDatagramSize) {
+  const client = new LoopbackSession(maxDatagramSize)
+  const server = new LoopbackSession(maxDatagramSize)
+  client.peer = server
+  server.peer = client
+  return [client, server]
+}
+
+class LoopbackSession {
+  constructor (maxDatagramSize) {
+    this.peer = null
+    this.isClosed = false
+    // Streams opened by this side that are still open, as in WebTransport they are errored when the session closes
+    this.openStreams = new Set()
+
+    this.ready = Promise.resolve()
+    this.closed = new Promise(resolve => { this.resolveClosed = resolve })
+
+    const incomingBidi = createPushStream()
+    this.incomingBidirectionalStreams = incomingBidi.readable
+    this.pushBidirectionalStream = incomingBidi.push
+    this.closeIncomingBidirectionalStreams = incomingBidi.close
+
+    const incomingUni = createPushStream()
+    this.incomingUnidirectionalStreams = incomingUni.readable
+    this.pushUnidirectionalStream = incomingUni.push
+    this.closeIncomingUnidirectionalStreams = incomingUni.close
+
+    const incomingDatagrams = createPushStream()
+    this.pushDatagram = incomingDatagrams.push
+    this.closeIncomingDatagrams = incomingDatagrams.close
+    this.datagrams = {
+      maxDatagramSize: (maxDatagramSize === undefined) ? LOOPBACK_MAX_DATAGRAM_SIZE_DEFAULT : maxDatagramSize,
+      readable: incomingDatagrams.readable,
+      writable: new WritableStream({
+        write: (chunk) => {
+          // Datagrams are unreliable, after close (or if too big) they are just lost
+          if (this.isClosed || chunk.byteLength > this.datagrams.maxDatagramSize) {
+            return
+          }
+          this.peer.pushDatagram(chunk.slice())
+        }
+      })
+    }
+  }
+
+  async createBidirectionalStream () {
+    this.checkOpen()
+    const localToPeer = this.createStream()
+    const peerToLocal = this.createStream()
+    this.peer.pushBidirectionalStream({ readable: localToPeer.readable, writable: peerToLocal.writable })
+    return { readable: peerToLocal.readable, writable: localToPeer.writable }
+  }
+
+  // options (ex: sendOrder) are ignored, there is no congestion in memory
+  async createUnidirectionalStream (options) {
+    this.checkOpen()
+    const stream = this.createStream()
+    this.peer.pushUnidirectionalStream(stream.readable)
+    return stream.writable
+  }
+
+  close (closeInfo) {
+    if (this.isClosed) {
+      return
+    }
+    this.closeLocal(closeInfo)
+    this.peer.closeLocal(closeInfo)
+  }
+
+  // Internal
+
+  closeLocal (closeInfo) {
+    if (this.isClosed) {
+      return
+    }
+    this.isClosed = true
+    // Resolved first, so the users know the session is closed when the streams fail
+    this.resolveClosed((closeInfo === undefined) ? { closeCode: 0, reason: '' } : closeInfo)
+    for (const stream of this.openStreams) {
+      stream.error(new Error('Loopback session closed'))
+    }
+    this.openStreams.clear()
+    this.closeIncomingBidirectionalStreams()
+    this.closeIncomingUnidirectionalStreams()
+    this.closeIncomingDatagrams()
+  }
+
+  createStream () {
+    const stream = createLoopbackStream(() => {
+      this.openStreams.delete(stream)
+    })
+    this.openStreams.add(stream)
+    return stream
+  }
+
+  checkOpen () {
+    if (this.isClosed) {
+      throw new Error('Loopback session is closed')
+    }
+  }
+}
+
+// error(err) errors both ends (as a stream reset), onClose is called when the writer closes it
+function createLoopbackStream (onClose) {
+  let controller
+  const stream = new TransformStream({
+    start (c) {
+      controller = c
+    },
+    flush () {
+      onClose()
+    }
+  }, undefined, new ByteLengthQueuingStrategy({ highWaterMark: LOOPBACK_STREAM_BUFFER_SIZE }))
+  return {
+    readable: stream.readable,
+    writable: stream.writable,
+    error: (err) => {
+      controller.error(err)
+    }
+  }
+}
+
+function createPushStream () {
+  let controller
+  let isClosed = false
+  const readable = new ReadableStream({
+    start (c) {
+      controller = c
+    }
+  })
+  return {
+    readable,
+    push: (item) => {
+      if (!isClosed) {
+        controller.enqueue(item)
+      }
+    },
+    close: () => {
+      if (!isClosed) {
+        isClosed = true
+        controller.close()
+      }
+    }
+  }
+}
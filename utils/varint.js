@@ -5,15 +5,23 @@ This source code is licensed under the MIT license found in the
 LICENSE file in the root directory of this source tree.
 */
 
-import { buffReadFrombyobReader } from './buffer_utils.js'
-
 const MAX_U6 = Math.pow(2, 6) - 1
 const MAX_U14 = Math.pow(2, 14) - 1
 const MAX_U30 = Math.pow(2, 30) - 1
 const MAX_U53 = Number.MAX_SAFE_INTEGER
-// const MAX_U62 = 2n ** 62n - 1n
+const MAX_U62 = 2n ** 62n - 1n
 
+// Accepts number (up to 53 bits) or BigInt (up to 62 bits)
 export function numberToVarInt (v) {
+  if (typeof v === 'bigint') {
+    if (v < 0n || v > MAX_U62) {
+      throw new Error(`overflow, value larger than 62-bits or negative: ${v}`)
+    }
+    if (v <= BigInt(MAX_U30)) {
+      return numberToVarInt(Number(v))
+    }
+    return setUint64(v | 0xc000000000000000n)
+  }
   if (v <= MAX_U6) {
     return setUint8(v)
   } else if (v <= MAX_U14) {
@@ -23,36 +31,39 @@ export function numberToVarInt (v) {
   } else if (v <= MAX_U53) {
     return setUint64(BigInt(v) | 0xc000000000000000n)
   } else {
-    throw new Error(`overflow, value larger than 53-bits: ${v}`)
+    throw new Error(`overflow, value larger than 53-bits (use BigInt): ${v}`)
   }
 }
 
-export async function varIntToNumber (readableStream) {
-  let ret
-  const reader = readableStream.getReader({ mode: 'byob' })
-  try {
-    let buff = new ArrayBuffer(8)
+export function numberOrBigInt (v) {
+  if (typeof v === 'bigint' && v <= BigInt(MAX_U53)) {
+    return Number(v)
+  }
+  return v
+}
 
-    buff = await buffReadFrombyobReader(reader, buff, 0, 1)
-    const size = (new DataView(buff, 0, 1).getUint8() & 0xc0) >> 6
-    if (size === 0) {
-      ret = new DataView(buff, 0, 1).getUint8() & 0x3f
-    } else if (size === 1) {
-      buff = await buffReadFrombyobReader(reader, buff, 1, 1)
-      ret = new DataView(buff, 0, 2).getUint16() & 0x3fff
-    } else if (size === 2) {
-      buff = await buffReadFrombyobReader(reader, buff, 1, 3)
-      ret = new DataView(buff, 0, 4).getUint32() & 0x3fffffff
-    } else if (size === 3) {
-      buff = await buffReadFrombyobReader(reader, buff, 1, 7)
-      ret = Number(new DataView(buff, 0, 8).getBigUint64() & BigInt('0x3fffffffffffffff'))
-    } else {
-      throw new Error('impossible')
-    }
-  } finally {
-    reader.releaseLock()
+// Decodes the varint at offset, returns undefined if buffer does NOT contain the whole varint yet
+// The value is number, or BigInt if it is bigger than 53 bits
+export function varIntFromBuffer (buffer, offset) {
+  if (offset >= buffer.byteLength) {
+    return undefined
   }
-  return ret
+  const size = 1 << ((buffer[offset] & 0xc0) >> 6)
+  if (offset + size > buffer.byteLength) {
+    return undefined
+  }
+  const view = new DataView(buffer.buffer, buffer.byteOffset + offset, size)
+  let value
+  if (size === 1) {
+    value = view.getUint8(0) & 0x3f
+  } else if (size === 2) {
+    value = view.getUint16(0) & 0x3fff
+  } else if (size === 4) {
+    value = view.getUint32(0) & 0x3fffffff
+  } else {
+    value = numberOrBigInt(view.getBigUint64(0) & 0x3fffffffffffffffn)
+  }
+  return { value, size }
 }
 
 function setUint8 (v) {